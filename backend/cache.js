@@ -0,0 +1,56 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+// Simple on-disk cache so scraped lists and metadata lookups survive restarts.
+// Each entry is stored as its own JSON file under <CACHE_DIR>/<namespace>/,
+// named by a hash of the key, together with its expiry time.
+const CACHE_DIR = process.env.CACHE_DIR || path.join(__dirname, '.cache');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+function createCache(namespace, defaultTtl) {
+  const directory = path.join(CACHE_DIR, namespace);
+
+  const entryPath = (key) => {
+    const hash = crypto.createHash('sha1').update(key).digest('hex');
+    return path.join(directory, `${hash}.json`);
+  };
+
+  async function get(key) {
+    try {
+      const entry = JSON.parse(await fs.readFile(entryPath(key), 'utf8'));
+      if (entry.key !== key || entry.expiresAt <= Date.now()) {
+        return null;
+      }
+      return entry;
+    } catch (error) {
+      // Missing or unreadable entries are treated as a cache miss
+      return null;
+    }
+  }
+
+  async function set(key, value, ttl = defaultTtl) {
+    const entry = {
+      key,
+      value,
+      cachedAt: Date.now(),
+      expiresAt: Date.now() + ttl
+    };
+    try {
+      await fs.mkdir(directory, { recursive: true });
+      await fs.writeFile(entryPath(key), JSON.stringify(entry));
+    } catch (error) {
+      console.error(`Error writing ${namespace} cache entry:`, error);
+    }
+    return entry;
+  }
+
+  return { get, set };
+}
+
+const listCache = createCache('lists', Number(process.env.LIST_CACHE_TTL_HOURS || 6) * HOUR);
+const metadataCache = createCache('metadata', Number(process.env.METADATA_CACHE_TTL_DAYS || 30) * DAY);
+
+module.exports = { createCache, listCache, metadataCache, HOUR, DAY };
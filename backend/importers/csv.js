@@ -0,0 +1,61 @@
+// Minimal RFC 4180 CSV parser: quoted fields, escaped quotes ("") and
+// newlines inside quotes. Returns an array of rows, each an array of strings.
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Strip a UTF-8 byte order mark left by spreadsheet exports
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+// Turn rows into objects keyed by the header row. Blank lines are skipped.
+function rowsToObjects(rows) {
+  const nonEmpty = rows.filter(row => row.some(cell => cell.trim() !== ''));
+  if (nonEmpty.length === 0) return [];
+
+  const [header, ...body] = nonEmpty;
+  const keys = header.map(key => key.trim());
+  return body.map(row => keys.reduce((acc, key, index) => {
+    acc[key] = (row[index] || '').trim();
+    return acc;
+  }, {}));
+}
+
+module.exports = { parseCsv, rowsToObjects };
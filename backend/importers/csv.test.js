@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCsv, rowsToObjects } = require('./csv');
+
+const PARSE_CASES = [
+  { name: 'plain rows', text: 'a,b\nc,d', rows: [['a', 'b'], ['c', 'd']] },
+  { name: 'a trailing newline', text: 'a,b\n', rows: [['a', 'b']] },
+  { name: 'CRLF line endings', text: 'a,b\r\nc,d\r\n', rows: [['a', 'b'], ['c', 'd']] },
+  { name: 'quoted commas', text: '"Crouching Tiger, Hidden Dragon",2000', rows: [['Crouching Tiger, Hidden Dragon', '2000']] },
+  { name: 'escaped quotes', text: '"The ""Burbs""",1989', rows: [['The "Burbs"', '1989']] },
+  { name: 'newlines inside quotes', text: '"line one\nline two",x', rows: [['line one\nline two', 'x']] },
+  { name: 'a byte order mark', text: '\uFEFFTitle,Year\nHeat,1995', rows: [['Title', 'Year'], ['Heat', '1995']] },
+  { name: 'empty fields', text: 'a,,c\n,,', rows: [['a', '', 'c'], ['', '', '']] },
+  { name: 'empty input', text: '', rows: [] }
+];
+
+for (const { name, text, rows } of PARSE_CASES) {
+  test(`parseCsv handles ${name}`, () => {
+    assert.deepEqual(parseCsv(text), rows);
+  });
+}
+
+test('rowsToObjects keys rows by the trimmed header and trims cells', () => {
+  assert.deepEqual(rowsToObjects([[' Title ', 'Year'], [' Heat ', '1995']]), [{ Title: 'Heat', Year: '1995' }]);
+});
+
+test('rowsToObjects skips blank lines and fills missing cells', () => {
+  assert.deepEqual(rowsToObjects([[''], ['Title', 'Year'], ['', ''], ['Ran']]), [{ Title: 'Ran', Year: '' }]);
+});
+
+test('rowsToObjects returns nothing for blank input', () => {
+  assert.deepEqual(rowsToObjects([['', ' ']]), []);
+});
@@ -0,0 +1,42 @@
+const { parseCsv, rowsToObjects } = require('./csv');
+const { createMovie } = require('../movie');
+
+// IMDb exports include series and episodes alongside films
+const EXCLUDED_TITLE_TYPES = ['tv series', 'tvseries', 'tv episode', 'tvepisode', 'tv mini series', 'tvminiseries'];
+
+// Parses IMDb's ratings.csv and list exports. Both share the Const, Title,
+// Year, Directors, Runtime (mins) and Genres columns; "Your Rating" (1-10) is
+// present in ratings exports and in lists exported by their owner, and list
+// exports number their entries in a Position column.
+function parseImdbCsv(text) {
+  const rows = rowsToObjects(parseCsv(text));
+  if (rows.length > 0 && !('Const' in rows[0] && 'Title' in rows[0])) {
+    throw new Error('This does not look like an IMDb ratings or list export');
+  }
+
+  const seen = new Set();
+  return rows
+    .filter(row => row.Const && row.Title)
+    .filter(row => !EXCLUDED_TITLE_TYPES.includes((row['Title Type'] || '').toLowerCase()))
+    .filter(row => {
+      if (seen.has(row.Const)) return false;
+      seen.add(row.Const);
+      return true;
+    })
+    .map(row => {
+      const imdbRating = parseFloat(row['Your Rating']);
+      const runtime = parseInt(row['Runtime (mins)'], 10);
+      const position = parseInt(row.Position, 10);
+      return createMovie(row.Title, row.Year, {
+        imdbId: row.Const,
+        // Stored on the same 0.5-5 star scale as Letterboxd ratings
+        userRating: Number.isFinite(imdbRating) ? imdbRating / 2 : null,
+        director: row.Directors || null,
+        runtime: Number.isFinite(runtime) ? runtime : null,
+        genres: row.Genres ? row.Genres.split(',').map(genre => genre.trim()).filter(Boolean) : [],
+        listPosition: Number.isFinite(position) ? position : null
+      });
+    });
+}
+
+module.exports = { parseImdbCsv };
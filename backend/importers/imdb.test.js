@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseImdbCsv } = require('./imdb');
+
+const HEADER = 'Const,Your Rating,Date Rated,Title,Title Type,Runtime (mins),Year,Genres,Directors';
+const csv = (...rows) => [HEADER, ...rows].join('\n');
+
+const CASES = [
+  {
+    name: 'a ratings export row',
+    text: csv('tt0113277,9,2024-01-01,Heat,Movie,170,1995,"Action, Crime, Drama",Michael Mann'),
+    films: [{
+      identifier: 'tt0113277',
+      title: 'Heat',
+      year: '1995',
+      userRating: 4.5,
+      runtime: 170,
+      genres: ['Action', 'Crime', 'Drama'],
+      director: 'Michael Mann',
+      listPosition: null
+    }]
+  },
+  {
+    name: 'a quoted title with a comma',
+    text: csv('tt0190332,,,"Crouching Tiger, Hidden Dragon",Movie,120,2000,,'),
+    films: [{ identifier: 'tt0190332', title: 'Crouching Tiger, Hidden Dragon', year: '2000', userRating: null, runtime: 120, genres: [], director: null, listPosition: null }]
+  },
+  {
+    name: 'a missing year and runtime',
+    text: csv('tt0000001,,,Untitled,Movie,,,,'),
+    films: [{ identifier: 'tt0000001', title: 'Untitled', year: '', userRating: null, runtime: null, genres: [], director: null, listPosition: null }]
+  },
+  {
+    name: 'a list export with positions',
+    text: 'Position,Const,Title,Year\n2,tt0089881,Ran,1985\n1,tt0113277,Heat,1995',
+    films: [
+      { identifier: 'tt0089881', title: 'Ran', year: '1985', userRating: null, runtime: null, genres: [], director: null, listPosition: 2 },
+      { identifier: 'tt0113277', title: 'Heat', year: '1995', userRating: null, runtime: null, genres: [], director: null, listPosition: 1 }
+    ]
+  }
+];
+
+const pick = ({ identifier, title, year, userRating, runtime, genres, director, listPosition }) =>
+  ({ identifier, title, year, userRating, runtime, genres, director, listPosition });
+
+for (const { name, text, films } of CASES) {
+  test(`parseImdbCsv reads ${name}`, () => {
+    assert.deepEqual(parseImdbCsv(text).map(pick), films);
+  });
+}
+
+const IDS_CASES = [
+  {
+    name: 'skips series and episodes',
+    text: csv('tt0903747,,,Breaking Bad,TV Series,,2008,,', 'tt0959621,,,Pilot,tvEpisode,,2008,,', 'tt0113277,,,Heat,movie,,1995,,'),
+    ids: ['tt0113277']
+  },
+  {
+    name: 'keeps the first of duplicate rows',
+    text: csv('tt0113277,8,,Heat,Movie,,1995,,', 'tt0113277,10,,Heat,Movie,,1995,,'),
+    ids: ['tt0113277']
+  },
+  {
+    name: 'skips rows without an ID or title',
+    text: csv(',,,Heat,Movie,,1995,,', 'tt0089881,,,,Movie,,1985,,', ''),
+    ids: []
+  },
+  {
+    name: 'reads a byte order mark and CRLF line endings',
+    text: `\uFEFF${csv('tt0113277,,,Heat,Movie,,1995,,')}`.replace(/\n/g, '\r\n'),
+    ids: ['tt0113277']
+  },
+  {
+    name: 'returns nothing for a header alone',
+    text: HEADER,
+    ids: []
+  }
+];
+
+for (const { name, text, ids } of IDS_CASES) {
+  test(`parseImdbCsv ${name}`, () => {
+    assert.deepEqual(parseImdbCsv(text).map(movie => movie.identifier), ids);
+  });
+}
+
+test('parseImdbCsv rejects files that are not IMDb exports', () => {
+  assert.throws(() => parseImdbCsv('Name,Year\nHeat,1995'), /does not look like an IMDb/);
+});
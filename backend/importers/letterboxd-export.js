@@ -0,0 +1,122 @@
+const AdmZip = require('adm-zip');
+const { parseCsv, rowsToObjects } = require('./csv');
+const { createMovie, legacyIdentifier, filmSlugFromUrl } = require('../movie');
+
+// Letterboxd data exports are a flat ZIP of CSV files:
+// watched.csv, ratings.csv, watchlist.csv, likes/films.csv and lists/<list>.csv
+const SOURCE_FILES = {
+  watched: { file: 'watched.csv', name: 'Watched films' },
+  ratings: { file: 'ratings.csv', name: 'Rated films' },
+  watchlist: { file: 'watchlist.csv', name: 'Watchlist' }
+};
+
+function readArchive(buffer) {
+  let zip;
+  try {
+    zip = new AdmZip(buffer);
+  } catch (error) {
+    throw new Error('The uploaded file is not a valid ZIP archive');
+  }
+
+  // Some tools re-zip the export inside a top-level folder, so key entries by
+  // their path relative to the folder holding watched.csv
+  const entries = zip.getEntries().filter(entry => !entry.isDirectory && entry.entryName.endsWith('.csv'));
+  const anchor = entries.find(entry => /(^|\/)watched\.csv$/.test(entry.entryName));
+  const prefix = anchor ? anchor.entryName.slice(0, -'watched.csv'.length) : '';
+
+  return entries.reduce((files, entry) => {
+    if (entry.entryName.startsWith(prefix)) {
+      files[entry.entryName.slice(prefix.length)] = entry.getData().toString('utf8');
+    }
+    return files;
+  }, {});
+}
+
+function readFilmRows(files, path) {
+  return files[path] ? rowsToObjects(parseCsv(files[path])) : [];
+}
+
+// List exports start with a header block describing the list itself, followed
+// by a blank line and the films table starting at the "Position" header
+function readListFile(text) {
+  const rows = parseCsv(text);
+  const metaHeaderIndex = rows.findIndex(row => row[0] === 'Date' && row[1] === 'Name');
+  const filmsHeaderIndex = rows.findIndex(row => row[0] === 'Position');
+
+  const meta = metaHeaderIndex >= 0 ? rowsToObjects(rows.slice(metaHeaderIndex, metaHeaderIndex + 2))[0] : null;
+  const films = filmsHeaderIndex >= 0 ? rowsToObjects(rows.slice(filmsHeaderIndex)) : [];
+
+  return { name: meta && meta.Name, films };
+}
+
+function listExportSources(buffer) {
+  const files = readArchive(buffer);
+  const sources = [];
+
+  for (const [id, { file, name }] of Object.entries(SOURCE_FILES)) {
+    if (files[file]) {
+      sources.push({ id, name, count: readFilmRows(files, file).length });
+    }
+  }
+
+  Object.keys(files)
+    .filter(path => path.startsWith('lists/'))
+    .sort()
+    .forEach(path => {
+      const list = readListFile(files[path]);
+      sources.push({
+        id: `list:${path}`,
+        name: list.name || path.replace(/^lists\//, '').replace(/\.csv$/, ''),
+        count: list.films.length
+      });
+    });
+
+  if (sources.length === 0) {
+    throw new Error('No Letterboxd export files found in the archive');
+  }
+
+  return sources;
+}
+
+function readExportSource(buffer, sourceId) {
+  const files = readArchive(buffer);
+
+  if (sourceId.startsWith('list:')) {
+    const path = sourceId.slice('list:'.length);
+    if (!files[path]) throw new Error(`List "${path}" was not found in the archive`);
+    return readListFile(files[path]).films.map((row, index) => {
+      const position = parseInt(row.Position, 10);
+      return createMovie(row.Name, row.Year, {
+        filmSlug: filmSlugFromUrl(row.URL),
+        listPosition: Number.isFinite(position) ? position : index + 1
+      });
+    });
+  }
+
+  const source = SOURCE_FILES[sourceId];
+  if (!source || !files[source.file]) {
+    throw new Error(`"${sourceId}" was not found in the archive`);
+  }
+
+  // Carry star ratings and likes over to every source, matching what the
+  // films page scraper returns. These files only link films through boxd.it
+  // short URLs, so they are joined on title and year.
+  const ratings = new Map(
+    readFilmRows(files, 'ratings.csv').map(row => [legacyIdentifier(row.Name, row.Year), parseFloat(row.Rating)])
+  );
+  const likes = new Set(
+    readFilmRows(files, 'likes/films.csv').map(row => legacyIdentifier(row.Name, row.Year))
+  );
+
+  return readFilmRows(files, source.file).map(row => {
+    const movie = createMovie(row.Name, row.Year);
+    const userRating = ratings.get(movie.legacyIdentifier);
+    return {
+      ...movie,
+      userRating: Number.isFinite(userRating) ? userRating : null,
+      liked: likes.has(movie.legacyIdentifier)
+    };
+  });
+}
+
+module.exports = { listExportSources, readExportSource };
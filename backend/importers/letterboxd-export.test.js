@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const AdmZip = require('adm-zip');
+const { listExportSources, readExportSource } = require('./letterboxd-export');
+
+// Builds an export archive from { path: csv text }
+const exportZip = (files) => {
+  const zip = new AdmZip();
+  for (const [path, text] of Object.entries(files)) {
+    zip.addFile(path, Buffer.from(text, 'utf8'));
+  }
+  return zip.toBuffer();
+};
+
+const WATCHED = [
+  'Date,Name,Year,Letterboxd URI',
+  '2024-01-01,Heat,1995,https://boxd.it/a',
+  '2024-01-02,"Crouching Tiger, Hidden Dragon",2000,https://boxd.it/b',
+  '2024-01-03,Solaris,,https://boxd.it/c'
+].join('\n');
+
+const RATINGS = 'Date,Name,Year,Letterboxd URI,Rating\n2024-01-01,Heat,1995,https://boxd.it/a,4.5';
+const LIKES = 'Date,Name,Year,Letterboxd URI\n2024-01-01,Heat,1995,https://boxd.it/a';
+
+const LIST = [
+  'Letterboxd list export v7',
+  'Date,Name,Tags,URL,Description',
+  '2024-02-01,Best of the 90s,,https://letterboxd.com/user/list/best-of-the-90s/,',
+  '',
+  'Position,Name,Year,URL,Description',
+  '1,Heat,1995,https://letterboxd.com/film/heat-1995/,',
+  '2,Ran,1985,https://letterboxd.com/film/ran/,',
+  ',Untitled,,https://letterboxd.com/film/untitled/,'
+].join('\n');
+
+const archive = exportZip({
+  'watched.csv': WATCHED,
+  'ratings.csv': RATINGS,
+  'likes/films.csv': LIKES,
+  'lists/best-of-the-90s.csv': LIST
+});
+
+test('listExportSources lists the film files and every list', () => {
+  assert.deepEqual(listExportSources(archive), [
+    { id: 'watched', name: 'Watched films', count: 3 },
+    { id: 'ratings', name: 'Rated films', count: 1 },
+    { id: 'list:lists/best-of-the-90s.csv', name: 'Best of the 90s', count: 3 }
+  ]);
+});
+
+const SOURCE_CASES = [
+  {
+    name: 'watched films with ratings and likes joined on title and year',
+    files: { 'watched.csv': WATCHED, 'ratings.csv': RATINGS, 'likes/films.csv': LIKES },
+    source: 'watched',
+    films: [
+      { identifier: 'heat-1995', title: 'Heat', year: '1995', userRating: 4.5, liked: true },
+      { identifier: 'crouching-tiger,-hidden-dragon-2000', title: 'Crouching Tiger, Hidden Dragon', year: '2000', userRating: null, liked: false },
+      { identifier: 'solaris-', title: 'Solaris', year: '', userRating: null, liked: false }
+    ]
+  },
+  {
+    name: 'a list, identified by film slug and in list order',
+    files: { 'watched.csv': WATCHED, 'lists/best-of-the-90s.csv': LIST },
+    source: 'list:lists/best-of-the-90s.csv',
+    films: [
+      { identifier: 'heat-1995', title: 'Heat', year: '1995', listPosition: 1 },
+      { identifier: 'ran', title: 'Ran', year: '1985', listPosition: 2 },
+      { identifier: 'untitled', title: 'Untitled', year: '', listPosition: 3 }
+    ]
+  },
+  {
+    name: 'an export re-zipped inside a folder, with a byte order mark',
+    files: { 'letterboxd-user/watched.csv': `\uFEFF${WATCHED}`, 'letterboxd-user/watchlist.csv': 'Date,Name,Year\n2024-01-01,Ran,1985' },
+    source: 'watchlist',
+    films: [{ identifier: 'ran-1985', title: 'Ran', year: '1985', userRating: null, liked: false }]
+  }
+];
+
+for (const { name, files, source, films } of SOURCE_CASES) {
+  test(`readExportSource reads ${name}`, () => {
+    const movies = readExportSource(exportZip(files), source);
+    assert.deepEqual(
+      movies.map(movie => Object.fromEntries(Object.keys(films[0]).map(key => [key, movie[key]]))),
+      films
+    );
+  });
+}
+
+const ERROR_CASES = [
+  { name: 'a file that is not a ZIP', read: () => listExportSources(Buffer.from('not a zip')), message: /not a valid ZIP/ },
+  { name: 'an archive without export files', read: () => listExportSources(exportZip({ 'notes.txt': 'hi' })), message: /No Letterboxd export files/ },
+  { name: 'an unknown source', read: () => readExportSource(archive, 'diary'), message: /"diary" was not found/ },
+  { name: 'a missing list', read: () => readExportSource(archive, 'list:lists/missing.csv'), message: /List "lists\/missing.csv" was not found/ }
+];
+
+for (const { name, read, message } of ERROR_CASES) {
+  test(`letterboxd-export rejects ${name}`, () => {
+    assert.throws(read, message);
+  });
+}
@@ -0,0 +1,57 @@
+const { parseCsv, rowsToObjects } = require('./csv');
+const { createMovie } = require('../movie');
+
+const TITLE_COLUMNS = ['title', 'name', 'film', 'movie'];
+const YEAR_COLUMNS = ['year', 'release year'];
+
+// "Title (Year)", "Title, Year" or "Title - Year", optionally prefixed with
+// list numbering such as "1." or "12)"
+function parseTitleLine(line) {
+  const cleaned = line.trim().replace(/^\d+[.)]\s+/, '');
+  if (!cleaned) return null;
+
+  const match = cleaned.match(/^(.*?)\s*(?:\((\d{4})\)|[,\-–]\s*(\d{4}))$/);
+  if (match && match[1]) {
+    return { title: match[1].trim(), year: match[2] || match[3] };
+  }
+  return { title: cleaned, year: '' };
+}
+
+function findColumn(header, candidates) {
+  return header.find(key => candidates.includes(key.trim().toLowerCase()));
+}
+
+// Accepts either a CSV with a title/name column (and optional year column) or
+// plain text with one film per line
+function parseTitleList(text) {
+  const rows = parseCsv(text);
+  const header = rows.find(row => row.some(cell => cell.trim() !== '')) || [];
+  const titleColumn = findColumn(header, TITLE_COLUMNS);
+
+  let entries;
+  if (titleColumn) {
+    const yearColumn = findColumn(header, YEAR_COLUMNS);
+    entries = rowsToObjects(rows).map(row => {
+      // A title column without a year column may still hold "Title (Year)"
+      const parsed = parseTitleLine(row[titleColumn] || '');
+      if (!parsed) return null;
+      return yearColumn && row[yearColumn]
+        ? { title: row[titleColumn], year: row[yearColumn] }
+        : parsed;
+    });
+  } else {
+    entries = text.split(/\r?\n/).map(parseTitleLine);
+  }
+
+  const seen = new Set();
+  return entries
+    .filter(Boolean)
+    .map(entry => createMovie(entry.title, entry.year))
+    .filter(movie => {
+      if (seen.has(movie.identifier)) return false;
+      seen.add(movie.identifier);
+      return true;
+    });
+}
+
+module.exports = { parseTitleList };
@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseTitleList } = require('./title-list');
+
+const titlesOf = (text) => parseTitleList(text).map(({ title, year }) => ({ title, year }));
+
+const CASES = [
+  { name: 'Title (Year) lines', text: 'Heat (1995)\nRan (1985)', films: [{ title: 'Heat', year: '1995' }, { title: 'Ran', year: '1985' }] },
+  { name: 'Title, Year and Title - Year lines', text: 'Heat, 1995\nRan - 1985\nAlien – 1979', films: [{ title: 'Heat', year: '1995' }, { title: 'Ran', year: '1985' }, { title: 'Alien', year: '1979' }] },
+  { name: 'list numbering', text: '1. Heat (1995)\n12) Ran (1985)', films: [{ title: 'Heat', year: '1995' }, { title: 'Ran', year: '1985' }] },
+  { name: 'a missing year', text: 'Solaris', films: [{ title: 'Solaris', year: '' }] },
+  { name: 'a title that is a number', text: '1917 (2019)', films: [{ title: '1917', year: '2019' }] },
+  { name: 'a comma in a plain-text title', text: 'Crouching Tiger, Hidden Dragon (2000)', films: [{ title: 'Crouching Tiger, Hidden Dragon', year: '2000' }] },
+  { name: 'blank lines and CRLF', text: '\r\nHeat (1995)\r\n\r\n  \r\nRan (1985)\r\n', films: [{ title: 'Heat', year: '1995' }, { title: 'Ran', year: '1985' }] },
+  { name: 'duplicate lines', text: 'Heat (1995)\nHeat (1995)\nHeat (1986)', films: [{ title: 'Heat', year: '1995' }, { title: 'Heat', year: '1986' }] },
+  { name: 'a CSV with Title and Year columns', text: 'Title,Year\n"Crouching Tiger, Hidden Dragon",2000\nHeat,1995', films: [{ title: 'Crouching Tiger, Hidden Dragon', year: '2000' }, { title: 'Heat', year: '1995' }] },
+  { name: 'a CSV with other column names and a byte order mark', text: '\uFEFFFilm,Release Year,Notes\nRan,1985,epic', films: [{ title: 'Ran', year: '1985' }] },
+  { name: 'a CSV title column holding the year', text: 'Name\nHeat (1995)\nSolaris', films: [{ title: 'Heat', year: '1995' }, { title: 'Solaris', year: '' }] },
+  { name: 'duplicate CSV rows', text: 'Title,Year\nHeat,1995\nHeat,1995', films: [{ title: 'Heat', year: '1995' }] },
+  { name: 'nothing but blank lines', text: '\n \n', films: [] }
+];
+
+for (const { name, text, films } of CASES) {
+  test(`parseTitleList reads ${name}`, () => {
+    assert.deepEqual(titlesOf(text), films);
+  });
+}
+
+test('parseTitleList identifies films by title and year', () => {
+  const [movie] = parseTitleList('The Thing (1982)');
+  assert.equal(movie.identifier, 'the-thing-1982');
+  assert.equal(movie.legacyIdentifier, 'the-thing-1982');
+});
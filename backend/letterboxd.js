@@ -0,0 +1,51 @@
+const axios = require('axios');
+
+// Only these Letterboxd pages are ever fetched. Anything else passed to the
+// import endpoints is rejected so the backend can't be used as an open proxy.
+const LETTERBOXD_HOSTS = ['letterboxd.com', 'www.letterboxd.com'];
+
+const REQUEST_TIMEOUT = 15000;
+const MAX_PAGE_BYTES = 5 * 1024 * 1024;
+
+// Maps a pasted URL onto its canonical form, dropping www, query strings,
+// /detail/, page numbers and sort or filter segments so every variant of the
+// same list shares one cache entry. Returns { type, url } or null when the URL
+// isn't a Letterboxd list, watchlist or films page.
+function parseLetterboxdUrl(input) {
+  let parsed;
+  try {
+    parsed = new URL(String(input).trim());
+  } catch (error) {
+    return null;
+  }
+
+  if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') return null;
+  if (!LETTERBOXD_HOSTS.includes(parsed.hostname.toLowerCase())) return null;
+  if (parsed.port || parsed.username || parsed.password) return null;
+
+  const [username, section, slug] = parsed.pathname.toLowerCase().split('/').filter(Boolean);
+  if (!username || !/^[a-z0-9_]+$/.test(username)) return null;
+
+  if (section === 'list' && slug && /^[a-z0-9-]+$/.test(slug)) {
+    return { type: 'list', url: `https://letterboxd.com/${username}/list/${slug}/` };
+  }
+  if (section === 'watchlist' || section === 'films') {
+    return { type: section, url: `https://letterboxd.com/${username}/${section}/` };
+  }
+  return null;
+}
+
+// HTTP client for scraping with bounded time and size, which refuses to
+// follow redirects off Letterboxd
+const letterboxdClient = axios.create({
+  timeout: REQUEST_TIMEOUT,
+  maxContentLength: MAX_PAGE_BYTES,
+  maxRedirects: 3,
+  beforeRedirect: (options) => {
+    if (!LETTERBOXD_HOSTS.includes(options.hostname)) {
+      throw new Error(`Refusing to follow redirect to ${options.hostname}`);
+    }
+  }
+});
+
+module.exports = { parseLetterboxdUrl, letterboxdClient };
@@ -0,0 +1,55 @@
+const { mergeMetadata } = require('./movie');
+
+// How several imported lists are combined into one set of films to rank
+const COMBINE_MODES = ['union', 'intersection', 'difference'];
+
+// Merges per-list import results ({ url, movies, enrichmentErrors }) on film
+// identifier. Every film records the `sources` (list URLs) it appeared on.
+// Only the first list's order survives as `listPosition`, since positions on
+// different lists can't be compared.
+//   union         films on any list, in first-seen order
+//   intersection  films on every list
+//   difference    films on the first list that are on none of the others
+function combineLists(lists, mode = 'union') {
+  const films = new Map();
+  lists.forEach(({ url, movies }, listIndex) => {
+    for (const movie of movies) {
+      const existing = films.get(movie.identifier);
+      if (existing) {
+        if (!existing.movie.sources.includes(url)) {
+          const metadata = { ...movie, listPosition: null };
+          existing.movie = { ...mergeMetadata(existing.movie, metadata), sources: [...existing.movie.sources, url] };
+        }
+        existing.lists.add(listIndex);
+      } else {
+        const listPosition = listIndex === 0 ? movie.listPosition ?? null : null;
+        films.set(movie.identifier, { movie: { ...movie, listPosition, sources: [url] }, lists: new Set([listIndex]) });
+      }
+    }
+  });
+
+  const keep = {
+    union: () => true,
+    intersection: ({ lists: found }) => found.size === lists.length,
+    difference: ({ lists: found }) => found.size === 1 && found.has(0)
+  }[mode];
+
+  const movies = [...films.values()].filter(keep).map(({ movie }) => movie);
+  const kept = new Map(movies.map(movie => [movie.identifier, movie]));
+
+  // One report per film is enough even if it failed on several lists, and
+  // none if another list's copy of it had a poster
+  const reported = new Set();
+  const enrichmentErrors = lists
+    .flatMap(list => list.enrichmentErrors)
+    .filter(error => {
+      const movie = kept.get(error.identifier);
+      if (!movie || movie.poster || reported.has(error.identifier)) return false;
+      reported.add(error.identifier);
+      return true;
+    });
+
+  return { movies, enrichmentErrors };
+}
+
+module.exports = { COMBINE_MODES, combineLists };
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { combineLists } = require('./merge');
+
+const FIRST = 'https://letterboxd.com/dave/list/first/';
+const SECOND = 'https://letterboxd.com/dave/list/second/';
+const THIRD = 'https://letterboxd.com/dave/list/third/';
+
+const film = (identifier, extra = {}) => ({ identifier, title: identifier, poster: null, director: null, listPosition: null, ...extra });
+
+const list = (url, movies, enrichmentErrors = []) => ({ url, movies, enrichmentErrors });
+
+const lists = [
+  list(FIRST, [film('heat', { listPosition: 1 }), film('ran', { listPosition: 2 }), film('alien', { listPosition: 3 })]),
+  list(SECOND, [film('solaris', { listPosition: 1 }), film('alien', { listPosition: 2 }), film('heat', { listPosition: 3 })]),
+  list(THIRD, [film('heat', { listPosition: 1 }), film('stalker', { listPosition: 2 })])
+];
+
+const COMBINE_CASES = [
+  { mode: 'union', ids: ['heat', 'ran', 'alien', 'solaris', 'stalker'] },
+  { mode: 'intersection', ids: ['heat'] },
+  { mode: 'difference', ids: ['ran'] }
+];
+
+for (const { mode, ids } of COMBINE_CASES) {
+  test(`combineLists keeps first-seen order for ${mode}`, () => {
+    assert.deepEqual(combineLists(lists, mode).movies.map(movie => movie.identifier), ids);
+  });
+}
+
+test('combineLists defaults to a union', () => {
+  assert.deepEqual(combineLists(lists).movies, combineLists(lists, 'union').movies);
+});
+
+test('combineLists records every list a film was on, once', () => {
+  const repeated = [...lists, list(FIRST, [film('heat')])];
+  const movies = combineLists(repeated).movies;
+  assert.deepEqual(movies.find(movie => movie.identifier === 'heat').sources, [FIRST, SECOND, THIRD]);
+  assert.deepEqual(movies.find(movie => movie.identifier === 'solaris').sources, [SECOND]);
+});
+
+test('combineLists keeps only the first list\'s positions', () => {
+  const positions = Object.fromEntries(combineLists(lists).movies.map(movie => [movie.identifier, movie.listPosition]));
+  assert.deepEqual(positions, { heat: 1, ran: 2, alien: 3, solaris: null, stalker: null });
+});
+
+test('combineLists fills in metadata from later copies without overwriting', () => {
+  const { movies } = combineLists([
+    list(FIRST, [film('heat', { director: 'Michael Mann' })]),
+    list(SECOND, [film('heat', { director: 'Someone Else', poster: 'heat.jpg' })])
+  ]);
+  assert.equal(movies[0].director, 'Michael Mann');
+  assert.equal(movies[0].poster, 'heat.jpg');
+});
+
+test('combineLists reports each kept film without a poster once', () => {
+  const error = (identifier) => ({ identifier, reason: 'not_found' });
+  const { enrichmentErrors } = combineLists([
+    list(FIRST, [film('heat'), film('ran'), film('alien')], [error('heat'), error('ran'), error('alien')]),
+    list(SECOND, [film('heat'), film('alien', { poster: 'alien.jpg' })], [error('heat')])
+  ], 'union');
+  assert.deepEqual(enrichmentErrors.map(({ identifier }) => identifier), ['heat', 'ran']);
+});
+
+test('combineLists leaves out reports for films that were not kept', () => {
+  const { enrichmentErrors } = combineLists([
+    list(FIRST, [film('heat'), film('ran')], [{ identifier: 'ran', reason: 'not_found' }]),
+    list(SECOND, [film('heat')])
+  ], 'intersection');
+  assert.deepEqual(enrichmentErrors, []);
+});
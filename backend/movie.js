@@ -0,0 +1,71 @@
+// Shared helpers for building the movie objects every import path returns:
+// { title, year, identifier, poster } plus descriptive metadata (director,
+// runtime in minutes, genres, plot, Letterboxd average out of 5), the film's
+// 1-based position on an ordered list and any source-specific extras. Metadata
+// fields stay null when nothing provides them.
+
+// The original "title-year" identifier. Remakes, punctuation differences and
+// duplicate titles can collide, so it is only used when a source has nothing
+// better, and is kept on every movie so saved data can be migrated.
+function legacyIdentifier(title, year) {
+  const titleSlug = title.toLowerCase().replace(/\s+/g, '-');
+  return `${titleSlug}-${year}`;
+}
+
+// Letterboxd film slugs (e.g. "heat-1995") are unique and stable, followed by
+// IMDb IDs for imports that only know those
+function createMovie(title, year, extra = {}) {
+  const legacy = legacyIdentifier(title, year || '');
+  return {
+    title,
+    year: year ? String(year) : '',
+    identifier: extra.filmSlug || extra.imdbId || legacy,
+    legacyIdentifier: legacy,
+    poster: null,
+    director: null,
+    runtime: null,
+    genres: [],
+    plot: null,
+    letterboxdRating: null,
+    listPosition: null,
+    ...extra
+  };
+}
+
+// Reads the film slug and numeric film ID from a Letterboxd poster element.
+// Older markup uses data-film-*, newer markup data-item-* and a link to the film.
+function readFilmAttributes($poster) {
+  const link = $poster.attr('data-target-link') || $poster.attr('data-item-link') || '';
+  const linkMatch = link.match(/\/film\/([^/]+)\/?/);
+  const filmSlug = $poster.attr('data-film-slug') || $poster.attr('data-item-slug') || (linkMatch ? linkMatch[1] : null);
+  const filmId = $poster.attr('data-film-id') || null;
+  // Only some views embed the site-wide average on the poster
+  const averageRating = parseFloat($poster.attr('data-average-rating'));
+
+  return {
+    filmSlug: filmSlug || null,
+    filmId: filmId ? String(filmId) : null,
+    letterboxdRating: Number.isFinite(averageRating) ? averageRating : null
+  };
+}
+
+// Film URLs in list exports look like https://letterboxd.com/film/heat-1995/
+function filmSlugFromUrl(url) {
+  const match = (url || '').match(/letterboxd\.com\/film\/([^/]+)\/?/);
+  return match ? match[1] : null;
+}
+
+// Fills in metadata the import source didn't provide, keeping what it did
+function mergeMetadata(movie, metadata) {
+  const merged = { ...movie };
+  for (const [key, value] of Object.entries(metadata)) {
+    const current = merged[key];
+    const missing = current == null || (Array.isArray(current) && current.length === 0);
+    if (missing && value != null) {
+      merged[key] = value;
+    }
+  }
+  return merged;
+}
+
+module.exports = { legacyIdentifier, createMovie, readFilmAttributes, filmSlugFromUrl, mergeMetadata };
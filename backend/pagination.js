@@ -0,0 +1,55 @@
+// Reads Letterboxd's pagination controls so list, watchlist and films pages
+// are walked until the site says there is nothing left, whatever the page size.
+
+// Hard stop for page walks in case a malformed page keeps advertising a next page
+const MAX_LIST_PAGES = Number(process.env.MAX_LIST_PAGES || 200);
+
+function readPagination($) {
+  const pageNumbers = $('.paginate-pages li')
+    .map((index, element) => parseInt($(element).text().replace(/[^\d]/g, ''), 10))
+    .get()
+    .filter(Number.isFinite);
+  const currentPage = parseInt($('.paginate-pages .paginate-current').text().replace(/[^\d]/g, ''), 10);
+
+  return {
+    hasNextLink: $('.paginate-nextprev a.next').length > 0,
+    currentPage: Number.isFinite(currentPage) ? currentPage : null,
+    totalPages: pageNumbers.length > 0 ? Math.max(...pageNumbers) : null,
+    totalFilms: readTotalFilms($)
+  };
+}
+
+// Lists describe themselves as "A list of 1,234 films compiled on Letterboxd..."
+function readTotalFilms($) {
+  const description = $('meta[name="description"]').attr('content')
+    || $('meta[property="og:description"]').attr('content')
+    || '';
+  const match = description.match(/\b(\d[\d,]*)\s+films?\b/i);
+  return match ? parseInt(match[1].replace(/,/g, ''), 10) : null;
+}
+
+// Whether Letterboxd has another page after this one. `found` is the number
+// of films collected so far, including this page's.
+function listContinues(pagination, { page, pageMovies, found, totalFilms }) {
+  if (pageMovies === 0) return false;
+  // Out-of-range page numbers are served as the last page rather than a 404
+  if (pagination.currentPage != null && pagination.currentPage !== page) return false;
+  if (totalFilms != null && found >= totalFilms) return false;
+  if (pagination.hasNextLink) return true;
+  if (pagination.totalPages != null) return page < pagination.totalPages;
+  // No controls at all: only keep going if the advertised count says so
+  return totalFilms != null && found < totalFilms;
+}
+
+// Whether to fetch the next page: only while the list continues and the walk
+// is under `maxPages`
+function hasMorePages(pagination, { maxPages = MAX_LIST_PAGES, ...progress }) {
+  if (!listContinues(pagination, progress)) return false;
+  if (progress.page >= maxPages) {
+    console.warn(`Stopped after ${maxPages} pages; the list may be incomplete`);
+    return false;
+  }
+  return true;
+}
+
+module.exports = { MAX_LIST_PAGES, readPagination, hasMorePages };
@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const cheerio = require('cheerio');
+const { MAX_LIST_PAGES, readPagination, hasMorePages } = require('./pagination');
+
+// A list page with Letterboxd's pagination controls: `pages` are the page
+// links shown, `current` the highlighted one
+const listPage = ({ pages = [], current = null, next = false, description = '' } = {}) => cheerio.load(`
+  <html><head><meta name="description" content="${description}"></head><body>
+    <div class="pagination">
+      ${next ? '<div class="paginate-nextprev"><a class="next" href="#">Older</a></div>' : ''}
+      <div class="paginate-pages"><ul>
+        ${pages.map(page => (page === current
+          ? `<li class="paginate-page paginate-current"><span>${page}</span></li>`
+          : `<li class="paginate-page"><a href="#">${page}</a></li>`)).join('')}
+      </ul></div>
+    </div>
+  </body></html>
+`);
+
+test('readPagination reads the current page, page count, next link and film count', () => {
+  const $ = listPage({ pages: [1, 2, 3, 12], current: 2, next: true, description: 'A list of 1,234 films compiled on Letterboxd' });
+  assert.deepEqual(readPagination($), { hasNextLink: true, currentPage: 2, totalPages: 12, totalFilms: 1234 });
+});
+
+test('readPagination reads a page without controls', () => {
+  assert.deepEqual(readPagination(listPage()), { hasNextLink: false, currentPage: null, totalPages: null, totalFilms: null });
+});
+
+const PAGE_CASES = [
+  {
+    name: 'a single page without controls',
+    pagination: { hasNextLink: false, currentPage: null, totalPages: null },
+    progress: { page: 1, pageMovies: 12, found: 12, totalFilms: null },
+    more: false
+  },
+  {
+    name: 'a single page whose advertised count is reached',
+    pagination: { hasNextLink: false, currentPage: null, totalPages: null },
+    progress: { page: 1, pageMovies: 12, found: 12, totalFilms: 12 },
+    more: false
+  },
+  {
+    name: 'a page with a next link',
+    pagination: { hasNextLink: true, currentPage: 1, totalPages: 3 },
+    progress: { page: 1, pageMovies: 100, found: 100, totalFilms: null },
+    more: true
+  },
+  {
+    name: 'the last page',
+    pagination: { hasNextLink: false, currentPage: 3, totalPages: 3 },
+    progress: { page: 3, pageMovies: 40, found: 240, totalFilms: null },
+    more: false
+  },
+  {
+    name: 'a page before the last without a next link',
+    pagination: { hasNextLink: false, currentPage: 2, totalPages: 3 },
+    progress: { page: 2, pageMovies: 100, found: 200, totalFilms: null },
+    more: true
+  },
+  {
+    name: 'an out-of-range page served as the last one',
+    pagination: { hasNextLink: false, currentPage: 3, totalPages: 3 },
+    progress: { page: 4, pageMovies: 40, found: 280, totalFilms: null },
+    more: false
+  },
+  {
+    name: 'an empty page',
+    pagination: { hasNextLink: true, currentPage: 2, totalPages: 3 },
+    progress: { page: 2, pageMovies: 0, found: 100, totalFilms: null },
+    more: false
+  },
+  {
+    name: 'a next link past the advertised count',
+    pagination: { hasNextLink: true, currentPage: 2, totalPages: 3 },
+    progress: { page: 2, pageMovies: 100, found: 200, totalFilms: 200 },
+    more: false
+  },
+  {
+    name: 'no controls but an advertised count still ahead',
+    pagination: { hasNextLink: false, currentPage: null, totalPages: null },
+    progress: { page: 1, pageMovies: 28, found: 28, totalFilms: 60 },
+    more: true
+  }
+];
+
+for (const { name, pagination, progress, more } of PAGE_CASES) {
+  test(`hasMorePages after ${name}`, () => {
+    assert.equal(hasMorePages(pagination, progress), more);
+  });
+}
+
+test('hasMorePages stops at the page cap', (t) => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  const pagination = { hasNextLink: true, currentPage: null, totalPages: null };
+  const progress = { pageMovies: 100, found: 500, totalFilms: null, maxPages: 5 };
+
+  assert.equal(hasMorePages(pagination, { ...progress, page: 4 }), true);
+  assert.equal(warn.mock.callCount(), 0);
+  assert.equal(hasMorePages(pagination, { ...progress, page: 5 }), false);
+  assert.equal(warn.mock.callCount(), 1);
+});
+
+test('hasMorePages does not warn when the list ends at the page cap', (t) => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  const pagination = { hasNextLink: false, currentPage: 5, totalPages: 5 };
+  assert.equal(hasMorePages(pagination, { page: 5, pageMovies: 100, found: 500, totalFilms: null, maxPages: 5 }), false);
+  assert.equal(warn.mock.callCount(), 0);
+});
+
+test('hasMorePages caps the walk at MAX_LIST_PAGES by default', (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const pagination = { hasNextLink: true, currentPage: null, totalPages: null };
+  const progress = { pageMovies: 100, found: 100, totalFilms: null };
+  assert.equal(hasMorePages(pagination, { ...progress, page: MAX_LIST_PAGES - 1 }), true);
+  assert.equal(hasMorePages(pagination, { ...progress, page: MAX_LIST_PAGES }), false);
+});
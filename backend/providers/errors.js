@@ -0,0 +1,17 @@
+// Reasons reported back to the client when a film could not be enriched
+const ENRICHMENT_ERRORS = {
+  NOT_FOUND: 'not_found',          // The provider has no match for the title and year
+  NO_POSTER: 'no_poster',          // Matched, but the provider has no poster for it
+  RATE_LIMITED: 'rate_limited',    // The provider throttled us or the daily quota is used up
+  UNAVAILABLE: 'unavailable',      // The provider isn't configured or rejected our credentials
+  REQUEST_FAILED: 'request_failed' // Network or server errors that outlasted the retries
+};
+
+class EnrichmentError extends Error {
+  constructor(reason, message) {
+    super(message);
+    this.reason = reason;
+  }
+}
+
+module.exports = { ENRICHMENT_ERRORS, EnrichmentError };
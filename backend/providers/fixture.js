@@ -0,0 +1,40 @@
+const fs = require('fs');
+const path = require('path');
+const { ENRICHMENT_ERRORS, EnrichmentError } = require('./errors');
+
+const DEFAULT_FIXTURE_PATH = path.join(__dirname, '..', 'fixtures', 'metadata.json');
+
+// Serves metadata from a local JSON file so the backend can be developed and
+// tested without network access or API keys. The file holds an array of films,
+// each matched on `filmSlug`, `imdbId` or `title` plus `year`, carrying any of
+// poster, imdbId, director, runtime, genres and plot.
+function createFixtureProvider({ fixturePath = process.env.METADATA_FIXTURE_PATH || DEFAULT_FIXTURE_PATH } = {}) {
+  const films = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+  const index = new Map();
+  for (const film of films) {
+    for (const key of fixtureKeys(film)) {
+      index.set(key, film);
+    }
+  }
+
+  async function lookup(movie) {
+    const film = fixtureKeys(movie).map(key => index.get(key)).find(Boolean);
+    if (!film) {
+      throw new EnrichmentError(ENRICHMENT_ERRORS.NOT_FOUND, 'No fixture entry for this film');
+    }
+    const { filmSlug, title, year, ...metadata } = film;
+    return metadata;
+  }
+
+  return { name: 'fixture', label: 'The fixture file', configured: true, lookup };
+}
+
+function fixtureKeys({ filmSlug, imdbId, title, year }) {
+  return [
+    filmSlug && `slug:${filmSlug}`,
+    imdbId && `imdb:${imdbId}`,
+    title && `title:${title.toLowerCase()}|${year || ''}`
+  ].filter(Boolean);
+}
+
+module.exports = { createFixtureProvider };
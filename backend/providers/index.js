@@ -0,0 +1,27 @@
+const { createOmdbProvider } = require('./omdb');
+const { createTmdbProvider } = require('./tmdb');
+const { createNoneProvider } = require('./none');
+const { createFixtureProvider } = require('./fixture');
+
+// Metadata providers look up a poster and descriptive metadata for a movie.
+// Each is an object { name, label, configured, lookup(movie, { signal }) }.
+// `lookup` resolves to { poster, imdbId, director, runtime, genres, plot }
+// with any field possibly null, or to null when the provider deliberately adds
+// nothing, and rejects with an EnrichmentError saying why a film was missed.
+const PROVIDERS = {
+  omdb: createOmdbProvider,
+  tmdb: createTmdbProvider,
+  none: createNoneProvider,
+  fixture: createFixtureProvider
+};
+
+// Picks the provider named by METADATA_PROVIDER, defaulting to OMDb
+function createMetadataProvider(name = process.env.METADATA_PROVIDER || 'omdb') {
+  const create = PROVIDERS[name.toLowerCase()];
+  if (!create) {
+    throw new Error(`Unknown METADATA_PROVIDER "${name}"; expected one of ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  return create();
+}
+
+module.exports = { createMetadataProvider };
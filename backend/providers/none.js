@@ -0,0 +1,12 @@
+// Skips metadata lookups entirely: movies keep whatever their import source
+// provided and no enrichment errors are reported
+function createNoneProvider() {
+  return {
+    name: 'none',
+    label: 'No provider',
+    configured: true,
+    lookup: async () => null
+  };
+}
+
+module.exports = { createNoneProvider };
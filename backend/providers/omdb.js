@@ -0,0 +1,104 @@
+const axios = require('axios');
+const { metadataCache, DAY } = require('../cache');
+const { createRequestQueue, withRetry } = require('../queue');
+const { ENRICHMENT_ERRORS, EnrichmentError } = require('./errors');
+
+// OMDb (https://www.omdbapi.com), looked up by IMDb ID when the import
+// already knows it and by title and year otherwise
+function createOmdbProvider({ apiKey = process.env.OMDB_API_KEY, concurrency = Number(process.env.OMDB_CONCURRENCY || 5) } = {}) {
+  // At most this many OMDb requests are in flight at once across all imports
+  const queue = createRequestQueue(concurrency);
+
+  async function lookup(movie, { signal } = {}) {
+    if (!apiKey) {
+      throw new EnrichmentError(ENRICHMENT_ERRORS.UNAVAILABLE, 'OMDB_API_KEY is not configured');
+    }
+
+    const cacheKey = `omdb:${movie.imdbId || `${movie.title.toLowerCase()}|${movie.year}`}`;
+    const cached = await metadataCache.get(cacheKey);
+    if (cached) return readOmdbMetadata(checkOmdbResponse(cached.value));
+
+    const query = movie.imdbId
+      ? `i=${encodeURIComponent(movie.imdbId)}`
+      : `t=${encodeURIComponent(movie.title)}&y=${movie.year}`;
+
+    const data = await withRetry(
+      () => queue(() => {
+        signal?.throwIfAborted();
+        return requestOmdb(query, signal);
+      }),
+      { retries: 3, baseDelay: 500, shouldRetry: isRetryableOmdbError }
+    );
+
+    // Misses are cached briefly so newly added OMDb entries show up soon
+    if (data.Response !== 'False') {
+      await metadataCache.set(cacheKey, data);
+    } else if (/not found/i.test(data.Error || '')) {
+      await metadataCache.set(cacheKey, data, DAY);
+    }
+    return readOmdbMetadata(checkOmdbResponse(data));
+  }
+
+  async function requestOmdb(query, signal) {
+    try {
+      const response = await axios.get(`https://www.omdbapi.com/?${query}&apikey=${apiKey}`, {
+        timeout: 10000,
+        signal
+      });
+      return response.data;
+    } catch (error) {
+      if (axios.isCancel(error)) throw error;
+      const status = error.response && error.response.status;
+      const omdbError = error.response && error.response.data && error.response.data.Error;
+      if (status === 429 || /limit reached/i.test(omdbError || '')) {
+        throw new EnrichmentError(ENRICHMENT_ERRORS.RATE_LIMITED, omdbError || 'OMDb rate limit reached');
+      }
+      if (status === 401) {
+        throw new EnrichmentError(ENRICHMENT_ERRORS.UNAVAILABLE, omdbError || 'OMDb rejected the API key');
+      }
+      const failure = new EnrichmentError(ENRICHMENT_ERRORS.REQUEST_FAILED, error.message);
+      failure.status = status;
+      throw failure;
+    }
+  }
+
+  return { name: 'omdb', label: 'OMDb', configured: Boolean(apiKey), lookup };
+}
+
+// Throttling and transient server or network errors are worth another try.
+// A used-up daily quota is not, since it won't recover within the backoff.
+function isRetryableOmdbError(error) {
+  if (error.reason === ENRICHMENT_ERRORS.RATE_LIMITED) {
+    return !/limit reached/i.test(error.message);
+  }
+  return error.reason === ENRICHMENT_ERRORS.REQUEST_FAILED && (!error.status || error.status >= 500);
+}
+
+// OMDb reports every missing field as "N/A"
+function readOmdbMetadata(data) {
+  const field = name => (data[name] && data[name] !== 'N/A' ? data[name] : null);
+  const runtime = parseInt(field('Runtime'), 10);
+  return {
+    poster: field('Poster'),
+    imdbId: field('imdbID'),
+    director: field('Director'),
+    runtime: Number.isFinite(runtime) ? runtime : null,
+    genres: field('Genre') ? field('Genre').split(',').map(genre => genre.trim()) : null,
+    plot: field('Plot')
+  };
+}
+
+function checkOmdbResponse(data) {
+  if (data.Response === 'False') {
+    if (/not found/i.test(data.Error || '')) {
+      throw new EnrichmentError(ENRICHMENT_ERRORS.NOT_FOUND, 'No OMDb match for this title and year');
+    }
+    if (/limit reached/i.test(data.Error || '')) {
+      throw new EnrichmentError(ENRICHMENT_ERRORS.RATE_LIMITED, data.Error);
+    }
+    throw new EnrichmentError(ENRICHMENT_ERRORS.UNAVAILABLE, data.Error || 'OMDb lookup failed');
+  }
+  return data;
+}
+
+module.exports = { createOmdbProvider };
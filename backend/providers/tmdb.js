@@ -0,0 +1,103 @@
+const axios = require('axios');
+const { metadataCache, DAY } = require('../cache');
+const { createRequestQueue, withRetry } = require('../queue');
+const { ENRICHMENT_ERRORS, EnrichmentError } = require('./errors');
+
+const TMDB_API = 'https://api.themoviedb.org/3';
+const POSTER_BASE = 'https://image.tmdb.org/t/p/w500';
+
+// TMDb (https://www.themoviedb.org). Films are found through the IMDb ID when
+// the import knows it, otherwise by searching the title within its year, and
+// the details request supplies runtime, genres, overview and credits.
+function createTmdbProvider({ apiKey = process.env.TMDB_API_KEY, concurrency = Number(process.env.TMDB_CONCURRENCY || 5) } = {}) {
+  const queue = createRequestQueue(concurrency);
+
+  async function lookup(movie, { signal } = {}) {
+    if (!apiKey) {
+      throw new EnrichmentError(ENRICHMENT_ERRORS.UNAVAILABLE, 'TMDB_API_KEY is not configured');
+    }
+
+    const cacheKey = `tmdb:${movie.imdbId || `${movie.title.toLowerCase()}|${movie.year}`}`;
+    const cached = await metadataCache.get(cacheKey);
+    if (cached) return checkCachedResult(cached.value);
+
+    const tmdbId = await findTmdbId(movie, signal);
+    if (!tmdbId) {
+      await metadataCache.set(cacheKey, { notFound: true }, DAY);
+      return checkCachedResult({ notFound: true });
+    }
+
+    const details = await request(`/movie/${tmdbId}`, { append_to_response: 'credits' }, signal);
+    const metadata = readTmdbMetadata(details);
+    await metadataCache.set(cacheKey, metadata);
+    return metadata;
+  }
+
+  async function findTmdbId(movie, signal) {
+    if (movie.imdbId) {
+      const found = await request(`/find/${encodeURIComponent(movie.imdbId)}`, { external_source: 'imdb_id' }, signal);
+      return found.movie_results?.[0]?.id || null;
+    }
+    const search = await request('/search/movie', { query: movie.title, year: movie.year || undefined }, signal);
+    return search.results?.[0]?.id || null;
+  }
+
+  function request(path, params, signal) {
+    return withRetry(
+      () => queue(async () => {
+        signal?.throwIfAborted();
+        try {
+          const response = await axios.get(`${TMDB_API}${path}`, {
+            params: { ...params, api_key: apiKey },
+            timeout: 10000,
+            signal
+          });
+          return response.data;
+        } catch (error) {
+          if (axios.isCancel(error)) throw error;
+          const status = error.response && error.response.status;
+          if (status === 429) {
+            throw new EnrichmentError(ENRICHMENT_ERRORS.RATE_LIMITED, 'TMDb rate limit reached');
+          }
+          if (status === 401) {
+            throw new EnrichmentError(ENRICHMENT_ERRORS.UNAVAILABLE, 'TMDb rejected the API key');
+          }
+          const failure = new EnrichmentError(ENRICHMENT_ERRORS.REQUEST_FAILED, error.message);
+          failure.status = status;
+          throw failure;
+        }
+      }),
+      { retries: 3, baseDelay: 500, shouldRetry: isRetryableTmdbError }
+    );
+  }
+
+  return { name: 'tmdb', label: 'TMDb', configured: Boolean(apiKey), lookup };
+}
+
+function isRetryableTmdbError(error) {
+  if (error.reason === ENRICHMENT_ERRORS.RATE_LIMITED) return true;
+  return error.reason === ENRICHMENT_ERRORS.REQUEST_FAILED && (!error.status || error.status >= 500);
+}
+
+function readTmdbMetadata(details) {
+  const directors = (details.credits?.crew || [])
+    .filter(member => member.job === 'Director')
+    .map(member => member.name);
+  return {
+    poster: details.poster_path ? `${POSTER_BASE}${details.poster_path}` : null,
+    imdbId: details.imdb_id || null,
+    director: directors.length > 0 ? directors.join(', ') : null,
+    runtime: details.runtime || null,
+    genres: (details.genres || []).map(genre => genre.name),
+    plot: details.overview || null
+  };
+}
+
+function checkCachedResult(value) {
+  if (value.notFound) {
+    throw new EnrichmentError(ENRICHMENT_ERRORS.NOT_FOUND, 'No TMDb match for this title and year');
+  }
+  return value;
+}
+
+module.exports = { createTmdbProvider };
@@ -0,0 +1,46 @@
+// Helpers for calling rate-limited upstream APIs politely: a bounded
+// concurrency queue and a retry wrapper with exponential backoff.
+
+function createRequestQueue(concurrency) {
+  let active = 0;
+  const waiting = [];
+
+  const next = () => {
+    if (active >= concurrency || waiting.length === 0) return;
+    active++;
+    const { task, resolve, reject } = waiting.shift();
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+
+  return function enqueue(task) {
+    return new Promise((resolve, reject) => {
+      waiting.push({ task, resolve, reject });
+      next();
+    });
+  };
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Retries `fn` while `shouldRetry(error)` is true, waiting baseDelay, 2x, 4x...
+// between attempts with a little jitter so parallel retries spread out
+async function withRetry(fn, { retries = 3, baseDelay = 500, shouldRetry = () => true } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt >= retries || !shouldRetry(error)) throw error;
+      const delay = baseDelay * Math.pow(2, attempt) * (0.75 + Math.random() * 0.5);
+      console.log(`Retrying after ${Math.round(delay)}ms (attempt ${attempt + 1} of ${retries}): ${error.message}`);
+      await sleep(delay);
+    }
+  }
+}
+
+module.exports = { createRequestQueue, withRetry };
@@ -6,99 +6,616 @@ const express = require('express');
 const cors = require('cors');
 const axios = require('axios');
 const cheerio = require('cheerio');
+const { createMovie, readFilmAttributes, mergeMetadata } = require('./movie');
+const { listCache } = require('./cache');
+const { createMetadataProvider } = require('./providers');
+const { ENRICHMENT_ERRORS } = require('./providers/errors');
+const { readPagination, hasMorePages } = require('./pagination');
+const { parseLetterboxdUrl, letterboxdClient } = require('./letterboxd');
+const { COMBINE_MODES, combineLists } = require('./merge');
+const { createSessionStore, summarizeSession } = require('./sessions');
+const { createShareStore } = require('./shares');
+const { listExportSources, readExportSource } = require('./importers/letterboxd-export');
+const { parseTitleList } = require('./importers/title-list');
+const { parseImdbCsv } = require('./importers/imdb');
 
 console.log('Modules loaded');
 
 const app = express();
 const port = process.env.PORT || 3001;
-const OMDb_API_KEY = process.env.OMDB_API_KEY;
+// Chosen with METADATA_PROVIDER: omdb (default), tmdb, none or fixture
+const metadataProvider = createMetadataProvider();
+console.log(`Using the ${metadataProvider.name} metadata provider`);
 
 console.log('Express app created');
 
-app.use(cors({ origin: '*' }))
+// Comma-separated list of origins allowed to call the API. Defaults to the
+// Vite dev and preview servers; set to * to allow any origin.
+const corsOrigins = (process.env.CORS_ORIGINS || 'http://localhost:5173,http://localhost:4173')
+  .split(',')
+  .map(origin => origin.trim())
+  .filter(Boolean);
+app.use(cors({ origin: corsOrigins.includes('*') ? '*' : corsOrigins }));
 
-app.use(express.json());
+// Saved sessions carry every film's ranking record and recent undo snapshots,
+// so they get a larger limit than the import endpoints
+app.use('/sessions', express.json({ limit: '50mb' }));
+// Large enough for pasted title lists and IMDb exports with thousands of rows
+app.use(express.json({ limit: '5mb' }));
+
+// Error codes returned by the import endpoints as { status: 'error', code,
+// message, debug? } so the client can explain what went wrong and offer a
+// way forward instead of a generic failure
+const IMPORT_ERRORS = {
+  INVALID_URL: { status: 400, message: 'Only letterboxd.com list, watchlist and films URLs can be imported' },
+  INVALID_FILE: { status: 400, message: 'The file could not be read' },
+  LIST_NOT_FOUND: { status: 404, message: 'Letterboxd has no list at this URL' },
+  LIST_PRIVATE: { status: 403, message: 'This list is private' },
+  EMPTY_LIST: { status: 422, message: 'No films were found' },
+  UPSTREAM_RATE_LIMITED: { status: 503, message: 'Letterboxd is limiting requests right now' },
+  UPSTREAM_UNAVAILABLE: { status: 502, message: 'Letterboxd could not be reached' },
+  ENRICHMENT_UNAVAILABLE: { status: 503, message: 'Poster lookups are not configured on this server' },
+  IMPORT_FAILED: { status: 500, message: 'Failed to fetch movies' }
+};
+
+class ImportError extends Error {
+  constructor(code, message = IMPORT_ERRORS[code].message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+// Metadata lookups fail per film inside addPosters, so any HTTP error
+// that reaches the import routes came from Letterboxd
+function toImportError(error) {
+  if (error instanceof ImportError) return error;
+  const status = error.response && error.response.status;
+  if (status === 404) return new ImportError('LIST_NOT_FOUND');
+  if (status === 401 || status === 403) return new ImportError('LIST_PRIVATE');
+  if (status === 429) return new ImportError('UPSTREAM_RATE_LIMITED');
+  if (axios.isAxiosError(error)) return new ImportError('UPSTREAM_UNAVAILABLE');
+  return new ImportError('IMPORT_FAILED');
+}
+
+function describeImportError(error) {
+  const importError = toImportError(error);
+  return {
+    code: importError.code,
+    message: importError.message,
+    debug: error === importError ? undefined : error.message
+  };
+}
+
+function sendImportError(res, error) {
+  const { code, message, debug } = describeImportError(error);
+  res.status(IMPORT_ERRORS[code].status).json({
+    status: 'error',
+    code,
+    message,
+    debug
+  });
+}
+
+// Upper bound on ?url= parameters combined in one import
+const MAX_COMBINED_LISTS = 5;
+
+// ?url= may be repeated to combine several lists with ?combine=union (the
+// default), intersection or difference. ?posters=skip imports without
+// posters, for servers whose metadata provider has no API key configured.
+function readListRequest(query) {
+  const { refresh, posters, combine = 'union' } = query;
+  const urls = [].concat(query.url || []).filter(Boolean);
+  if (urls.length === 0) {
+    throw new ImportError('INVALID_URL', 'URL is required');
+  }
+  if (urls.length > MAX_COMBINED_LISTS) {
+    throw new ImportError('INVALID_URL', `At most ${MAX_COMBINED_LISTS} lists can be combined`);
+  }
+  if (!COMBINE_MODES.includes(combine)) {
+    throw new ImportError('INVALID_URL', `combine must be one of ${COMBINE_MODES.join(', ')}`);
+  }
+
+  const targets = urls.map(url => parseLetterboxdUrl(url));
+  if (targets.some(target => !target)) {
+    throw new ImportError('INVALID_URL');
+  }
+  return {
+    targets,
+    combine,
+    forceRefresh: isRefreshRequested(refresh),
+    skipPosters: posters === 'skip'
+  };
+}
 
 app.get('/fetch-movies', async (req, res) => {
-  const { url } = req.query;
-  if (!url) {
-    return res.status(400).json({ 
-      status: 'error',
-      message: 'URL is required'
+  try {
+    const { targets, ...options } = readListRequest(req.query);
+    const result = await importLists(targets, options);
+    console.log('Sample movie data:', result.movies.slice(0, 2));
+    res.json({
+      status: 'success',
+      data: result
+    });
+  } catch (error) {
+    console.error('Error fetching movies:', error);
+    sendImportError(res, error);
+  }
+});
+
+// Server-Sent Events variant of /fetch-movies for the import screen. Emits
+// `progress` events as pages are scraped and posters enriched, then a single
+// `complete` event carrying the same payload as /fetch-movies or a `failure`
+// event with the same code and message as its error responses. Closing the
+// connection cancels the import.
+app.get('/fetch-movies/stream', async (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  res.flushHeaders();
+
+  const controller = new AbortController();
+  req.on('close', () => controller.abort());
+
+  const sendEvent = (event, data) => {
+    if (controller.signal.aborted) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  try {
+    const { targets, ...options } = readListRequest(req.query);
+    const result = await importLists(targets, {
+      ...options,
+      signal: controller.signal,
+      onProgress: progress => sendEvent('progress', progress)
+    });
+    sendEvent('complete', result);
+  } catch (error) {
+    if (controller.signal.aborted) {
+      console.log(`Import of ${req.query.url} cancelled by the client`);
+    } else {
+      console.error('Error fetching movies:', error);
+      sendEvent('failure', describeImportError(error));
+    }
+  }
+  res.end();
+});
+
+// ?refresh=true skips the cached copy and re-scrapes the list
+function isRefreshRequested(refresh) {
+  return refresh === 'true' || refresh === '1';
+}
+
+// Imports each list in turn and combines them. Returns { movies,
+// enrichmentErrors, sources } where sources describes each list imported.
+// Progress events carry the 1-based `list` being imported out of `lists`.
+async function importLists(targets, { combine = 'union', onProgress = () => {}, ...options } = {}) {
+  const lists = [];
+  for (const [index, target] of targets.entries()) {
+    const result = await importList(target, {
+      ...options,
+      onProgress: progress => onProgress({ ...progress, list: index + 1, lists: targets.length })
+    });
+    lists.push({ url: target.url, type: target.type, ...result });
+  }
+
+  const { movies, enrichmentErrors } = combineLists(lists, combine);
+  if (movies.length === 0) {
+    throw new ImportError('EMPTY_LIST', `No films are left after combining these lists (${combine})`);
+  }
+  return {
+    movies,
+    enrichmentErrors,
+    sources: lists.map(({ url, type, movies: listMovies, cachedAt }) => ({ url, type, count: listMovies.length, cachedAt }))
+  };
+}
+
+// Scrapes a list, watchlist or films page (or serves it from the list cache)
+// and returns { movies, enrichmentErrors, cachedAt? }. `target` comes from
+// parseLetterboxdUrl, so its URL is already canonical.
+async function importList(target, { forceRefresh = false, skipPosters = false, onProgress = () => {}, signal } = {}) {
+  const cacheKey = `${LIST_CACHE_VERSION}:${target.url}`;
+
+  if (!forceRefresh) {
+    const cached = await listCache.get(cacheKey);
+    if (cached) {
+      console.log(`Serving ${cached.value.movies.length} cached movies for ${cacheKey}`);
+      return { ...cached.value, cachedAt: cached.cachedAt };
+    }
+  }
+
+  // Fail before scraping rather than after
+  if (!skipPosters) requireMetadataProvider();
+
+  const options = { skipPosters, onProgress, signal };
+  const result = target.type === 'list'
+    ? await fetchAllMovies(target.url, options)
+    : await fetchPosterGrid(target.url, options);
+
+  // Don't pin posters that only failed temporarily into the list cache
+  const hasTransientErrors = result.enrichmentErrors.some(error =>
+    error.reason !== ENRICHMENT_ERRORS.NOT_FOUND && error.reason !== ENRICHMENT_ERRORS.NO_POSTER
+  );
+  if (!hasTransientErrors && !skipPosters) {
+    await listCache.set(cacheKey, result);
+  }
+  return result;
+}
+
+// Bumped whenever the shape of cached movies changes so stale entries are
+// re-scraped instead of served. v2: identifiers are Letterboxd film slugs.
+// v3: director, runtime, genres, plot and Letterboxd average. v4: list position.
+const LIST_CACHE_VERSION = 'v4';
+
+// The upload and paste imports take ?posters=skip too, like the list imports
+function addPostersUnlessSkipped(movieData, { posters }) {
+  return posters === 'skip' ? { movies: movieData, enrichmentErrors: [] } : addPosters(movieData);
+}
+
+// Letterboxd data export upload. Without a `source` the archive is only
+// inspected and the available files and lists are returned so the user can
+// pick one; the client then uploads it again with the chosen source.
+app.post('/import/letterboxd-export', express.raw({
+  type: ['application/zip', 'application/x-zip-compressed', 'application/octet-stream'],
+  limit: '25mb'
+}), async (req, res) => {
+  const { source } = req.query;
+  if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+    return sendImportError(res, new ImportError('INVALID_FILE', 'A Letterboxd export ZIP file is required'));
+  }
+
+  let movieData;
+  try {
+    if (!source) {
+      return res.json({
+        status: 'success',
+        data: { sources: listExportSources(req.body) }
+      });
+    }
+    movieData = readExportSource(req.body, source);
+    if (movieData.length === 0) {
+      return sendImportError(res, new ImportError('EMPTY_LIST', 'No films were found in the selected file'));
+    }
+  } catch (error) {
+    console.error('Error reading Letterboxd export:', error);
+    return sendImportError(res, new ImportError('INVALID_FILE', error.message));
+  }
+
+  try {
+    const { movies, enrichmentErrors } = await addPostersUnlessSkipped(movieData, req.query);
+    console.log(`Imported ${movies.length} movies from export source "${source}"`);
+    res.json({
+      status: 'success',
+      data: { movies, enrichmentErrors }
     });
+  } catch (error) {
+    console.error('Error importing Letterboxd export:', error);
+    sendImportError(res, error);
+  }
+});
+
+// Pasted or uploaded CSV / plain-text title lists, e.g. festival lineups
+app.post('/import/titles', async (req, res) => {
+  const { text } = req.body || {};
+  if (!text || !text.trim()) {
+    return sendImportError(res, new ImportError('EMPTY_LIST', 'A list of titles is required'));
   }
 
   try {
-    const result = await fetchAllMovies(url);
-    console.log('Sample movie data:', result.movies.slice(0, 2)); // Remove .data here
+    const { movies, enrichmentErrors } = await addPostersUnlessSkipped(parseTitleList(text), req.query);
+    console.log(`Imported ${movies.length} movies from a title list`);
     res.json({
       status: 'success',
-      data: result  // The result already contains the movies array
+      data: { movies, enrichmentErrors }
     });
   } catch (error) {
-    console.error('Error fetching movies:', error);
-    res.status(500).json({ 
-      status: 'error',
-      message: 'Failed to fetch movies',
-      debug: error.message 
+    console.error('Error importing title list:', error);
+    sendImportError(res, error);
+  }
+});
+
+// IMDb ratings.csv and list exports
+app.post('/import/imdb', async (req, res) => {
+  const { text } = req.body || {};
+  if (!text || !text.trim()) {
+    return sendImportError(res, new ImportError('INVALID_FILE', 'An IMDb CSV export is required'));
+  }
+
+  let movieData;
+  try {
+    movieData = parseImdbCsv(text);
+  } catch (error) {
+    return sendImportError(res, new ImportError('INVALID_FILE', error.message));
+  }
+  if (movieData.length === 0) {
+    return sendImportError(res, new ImportError('EMPTY_LIST', 'No films were found in the export'));
+  }
+
+  try {
+    const { movies, enrichmentErrors } = await addPostersUnlessSkipped(movieData, req.query);
+    console.log(`Imported ${movies.length} movies from an IMDb export`);
+    res.json({
+      status: 'success',
+      data: { movies, enrichmentErrors }
     });
+  } catch (error) {
+    console.error('Error importing IMDb export:', error);
+    sendImportError(res, error);
   }
 });
 
-async function fetchAllMovies(baseUrl, page = 1, accumulatedMovies = []) {
+// Walks a paginated Letterboxd view one page at a time. `parsePage` turns a
+// loaded page into movies, given how many films came before it; the page's
+// pagination controls and advertised film count decide whether to keep going,
+// up to MAX_LIST_PAGES. Progress is reported after each page is parsed and as
+// its posters arrive.
+async function scrapePages({ pageUrl, parsePage }, { skipPosters = false, onProgress = () => {}, signal } = {}) {
+  const movies = [];
+  const enrichmentErrors = [];
+  let totalPages = null;
+  let totalFilms = null;
+
+  for (let page = 1; ; page++) {
+    signal?.throwIfAborted();
+    const url = pageUrl(page);
+    console.log(`Fetching page ${page}: ${url}`);
+
+    const response = await letterboxdClient.get(url, { signal });
+    const $ = cheerio.load(response.data);
+    const movieData = parsePage($, movies.length);
+    if (page === 1 && movieData.length === 0) {
+      // Hidden watchlists still render, just without any posters
+      throw new ImportError(/\bis private\b/i.test($('body').text()) ? 'LIST_PRIVATE' : 'EMPTY_LIST');
+    }
+    const pagination = readPagination($);
+    totalPages = Math.max(totalPages || 0, pagination.totalPages || 0) || null;
+    totalFilms = totalFilms ?? pagination.totalFilms;
+    const found = movies.length + movieData.length;
+    console.log(`Found ${movieData.length} movies on page ${page}`);
+
+    const report = (stage, enriched) => onProgress({ stage, page, totalPages, found, totalFilms, enriched });
+    report('page', movies.length);
+    const result = skipPosters
+      ? { movies: movieData, enrichmentErrors: [] }
+      : await addPosters(movieData, {
+        signal,
+        onEnriched: count => report('enrichment', movies.length + count)
+      });
+    movies.push(...result.movies);
+    enrichmentErrors.push(...result.enrichmentErrors);
+    console.log(`After page ${page}, total movies: ${movies.length}`);
+
+    if (!hasMorePages(pagination, { page, pageMovies: movieData.length, found, totalFilms })) break;
+  }
+
+  console.log(`Finished fetching. Total movies: ${movies.length}`);
+  return { movies, enrichmentErrors };
+}
+
+function fetchAllMovies(baseUrl, options) {
   // Append '/detail/' to the URL to fetch detailed view
   const detailedUrl = baseUrl.endsWith('/detail/') ? baseUrl : `${baseUrl.replace(/\/$/, '')}/detail/`;
-  const pageUrl = page === 1 ? detailedUrl : `${detailedUrl}page/${page}/`;
-  console.log(`Fetching page ${page}: ${pageUrl}`);
-
-  const response = await axios.get(pageUrl);
-  const html = response.data;
-  const $ = cheerio.load(html);
-
-  const movieElements = $('li.film-detail');
-  const movieData = movieElements.map((index, element) => {
-    const $element = $(element);
-    const posterElement = $element.find('.film-poster img');
-    const title = posterElement.attr('alt');
-    const yearElement = $element.find('small.metadata a');
-    const year = yearElement.text().trim();
-    const titleSlug = title.toLowerCase().replace(/\s+/g, '-');
-    const identifier = `${titleSlug}-${year}`;
-
-    return {
-      title,
-      year,
-      identifier,
-      poster: null //'https://images.desenio.com/zoom/17469_1.jpg'  // Initialize the poster property
-    };
-  }).get().filter(Boolean);
-
-// Fetch poster URLs using the OMDb API
+
+  return scrapePages({
+    pageUrl: page => page === 1 ? detailedUrl : `${detailedUrl}page/${page}/`,
+    parsePage: ($, offset) => $('li.film-detail').map((index, element) => {
+      const $element = $(element);
+      const posterElement = $element.find('.film-poster img');
+      const title = posterElement.attr('alt');
+      const yearElement = $element.find('small.metadata a');
+      const year = yearElement.text().trim();
+
+      const filmAttributes = readFilmAttributes($element.find('.film-poster, [data-film-slug], [data-item-slug]').first());
+      // Ranked lists number their entries; otherwise the page order is the list order
+      const listNumber = parseInt($element.find('.list-number').first().text(), 10);
+      const listPosition = Number.isFinite(listNumber) ? listNumber : offset + index + 1;
+
+      return createMovie(title, year, { ...filmAttributes, listPosition });
+    }).get().filter(Boolean)
+  }, options);
+}
+
+// Watchlists and a user's films history render as a poster grid rather than
+// the list detail view, so each entry only carries the data attributes on the
+// poster element plus, for films, the viewing data underneath it
+function fetchPosterGrid(baseUrl, options) {
+  const gridUrl = baseUrl.replace(/\/page\/\d+\/?$/, '').replace(/\/?$/, '/');
+
+  return scrapePages({
+    pageUrl: page => page === 1 ? gridUrl : `${gridUrl}page/${page}/`,
+    parsePage: $ => $('li.poster-container').map((index, element) => {
+      const $container = $(element);
+      const $poster = $container.find('.film-poster');
+      const title = $poster.attr('data-film-name') || $poster.find('img').attr('alt');
+      if (!title) return null;
+
+      // Newer markup only exposes the year inside "Title (Year)"
+      const displayName = $poster.attr('data-item-full-display-name') || $poster.attr('data-item-name') || '';
+      const yearMatch = displayName.match(/\((\d{4})\)$/);
+      const year = $poster.attr('data-film-release-year') || (yearMatch ? yearMatch[1] : '');
+
+      // Star ratings are rendered as a "rated-N" class where N counts half stars
+      const ratingClass = ($container.find('.poster-viewingdata .rating').attr('class') || '').match(/rated-(\d+)/);
+      const userRating = ratingClass ? parseInt(ratingClass[1], 10) / 2 : null;
+      const liked = $container.find('.poster-viewingdata .like, .poster-viewingdata .icon-liked').length > 0;
+
+      return createMovie(title, year, { ...readFilmAttributes($poster), userRating, liked });
+    }).get().filter(Boolean)
+  }, options);
+}
+
+// Without an API key every lookup would fail, so imports that want posters
+// are refused with a typed error the client can offer ?posters=skip for
+function requireMetadataProvider() {
+  if (!metadataProvider.configured) {
+    throw new ImportError('ENRICHMENT_UNAVAILABLE');
+  }
+}
+
+// Looks up posters and metadata through the configured provider. Network
+// providers queue and retry their own requests; every film that ends up
+// without a poster is reported together with the reason so the UI can explain
+// the gaps. `onEnriched` is called with the number of films handled so far;
+// aborting `signal` cancels the lookups that are still waiting.
+async function addPosters(movieData, { onEnriched = () => {}, signal } = {}) {
+  requireMetadataProvider();
+  const enrichmentErrors = [];
+  let enrichedCount = 0;
+
   const posterPromises = movieData.map(async (movie) => {
     try {
-      const response = await axios.get(`https://www.omdbapi.com/?t=${encodeURIComponent(movie.title)}&y=${movie.year}&apikey=${OMDb_API_KEY}`);
-      const poster = response.data.Poster !== 'N/A' ? response.data.Poster : null;
-      return { ...movie, poster };
+      const metadata = await metadataProvider.lookup(movie, { signal });
+      if (!metadata) return movie;
+      if (!metadata.poster) {
+        enrichmentErrors.push(describeEnrichmentError(movie, ENRICHMENT_ERRORS.NO_POSTER, `${metadataProvider.label} has no poster for this film`));
+      }
+      return mergeMetadata({ ...movie, poster: metadata.poster || null }, metadata);
     } catch (error) {
-      console.error(`Error fetching poster for "${movie.title}": `, error);
+      if (signal?.aborted) throw error;
+      console.error(`Error fetching poster for "${movie.title}": `, error.message);
+      const reason = error.reason || ENRICHMENT_ERRORS.REQUEST_FAILED;
+      enrichmentErrors.push(describeEnrichmentError(movie, reason, error.message));
       return movie;
+    } finally {
+      onEnriched(++enrichedCount);
     }
-  }); 
+  });
 
   const movies = await Promise.all(posterPromises);
+  return { movies, enrichmentErrors };
+}
 
-  console.log(`Found ${movieElements.length} movies on page ${page}`);
-  const allMovies = [...accumulatedMovies, ...movies];  // Use 'movies' from posterPromises
-  console.log(`After page ${page}, total movies: ${allMovies.length}`);
+function describeEnrichmentError(movie, reason, message) {
+  return {
+    identifier: movie.identifier,
+    title: movie.title,
+    year: movie.year,
+    reason,
+    message
+  };
+}
 
-  if (movieElements.length === 100) {
-    return fetchAllMovies(baseUrl, page + 1, allMovies);
-  } else {
-    console.log(`Finished fetching. Total movies: ${allMovies.length}`);
-    return { movies: allMovies };
-  }
+const sessionStore = createSessionStore();
+const shareStore = createShareStore();
+
+// Codes thrown by the session and share stores. Anything else is reported
+// under the route's fallback code without its internal details.
+const STORE_ERROR_STATUS = {
+  INVALID_SESSION: 400,
+  SESSION_NOT_FOUND: 404,
+  INVALID_SHARE: 400,
+  SHARE_FORBIDDEN: 403,
+  SHARE_NOT_FOUND: 404,
+  SHARE_REVOKED: 410
+};
+
+function sendStoreError(res, error, fallback = { code: 'SESSION_FAILED', message: 'The session could not be saved or loaded' }) {
+  const status = STORE_ERROR_STATUS[error.code];
+  if (!status) console.error(`Error handling request (${fallback.code}):`, error);
+  res.status(status || 500).json({
+    status: 'error',
+    code: status ? error.code : fallback.code,
+    message: status ? error.message : fallback.message
+  });
 }
 
+const SHARE_FAILED = { code: 'SHARE_FAILED', message: 'The shared ranking could not be published or loaded' };
+
+// Ranking sessions: the client creates one when ranking starts, autosaves it
+// as comparisons come in and can list, load and delete them to resume later
+app.get('/sessions', async (req, res) => {
+  try {
+    res.json({ status: 'success', data: await sessionStore.list() });
+  } catch (error) {
+    sendStoreError(res, error);
+  }
+});
+
+app.post('/sessions', async (req, res) => {
+  try {
+    const session = await sessionStore.create(req.body);
+    res.status(201).json({ status: 'success', data: summarizeSession(session) });
+  } catch (error) {
+    sendStoreError(res, error);
+  }
+});
+
+app.get('/sessions/:id', async (req, res) => {
+  try {
+    res.json({ status: 'success', data: await sessionStore.get(req.params.id) });
+  } catch (error) {
+    sendStoreError(res, error);
+  }
+});
+
+app.put('/sessions/:id', async (req, res) => {
+  try {
+    const session = await sessionStore.update(req.params.id, req.body);
+    res.json({ status: 'success', data: summarizeSession(session) });
+  } catch (error) {
+    sendStoreError(res, error);
+  }
+});
+
+app.delete('/sessions/:id', async (req, res) => {
+  try {
+    await sessionStore.remove(req.params.id);
+    res.json({ status: 'success', data: { id: req.params.id } });
+  } catch (error) {
+    sendStoreError(res, error);
+  }
+});
+
+// Shared rankings: POST publishes an immutable snapshot and returns its short
+// ID with an owner token, GET serves it read-only and DELETE with the token in
+// an X-Owner-Token header revokes it
+app.post('/shares', async (req, res) => {
+  try {
+    const { share, ownerToken } = await shareStore.create(req.body);
+    res.status(201).json({ status: 'success', data: { id: share.id, ownerToken, createdAt: share.createdAt } });
+  } catch (error) {
+    sendStoreError(res, error, SHARE_FAILED);
+  }
+});
+
+app.get('/shares/:id', async (req, res) => {
+  try {
+    res.json({ status: 'success', data: await shareStore.get(req.params.id) });
+  } catch (error) {
+    sendStoreError(res, error, SHARE_FAILED);
+  }
+});
+
+app.delete('/shares/:id', async (req, res) => {
+  try {
+    await shareStore.revoke(req.params.id, req.get('X-Owner-Token'));
+    res.json({ status: 'success', data: { id: req.params.id } });
+  } catch (error) {
+    sendStoreError(res, error, SHARE_FAILED);
+  }
+});
+
+// Bodies express.json rejects (malformed JSON, a bare null, anything over the
+// size limit) get a JSON error under the route's invalid-body code instead of
+// Express's HTML error page
+const BODY_ERRORS = [
+  { path: '/sessions', code: 'INVALID_SESSION', message: 'A session must be a JSON object' },
+  { path: '/shares', code: 'INVALID_SHARE', message: 'A shared ranking must be a JSON object' }
+];
+
+app.use((error, req, res, next) => {
+  if (!error.type || !error.type.startsWith('entity.')) return next(error);
+  const match = BODY_ERRORS.find(({ path }) => req.path.startsWith(path));
+  res.status(error.status || 400).json({
+    status: 'error',
+    code: match ? match.code : 'INVALID_REQUEST',
+    message: error.type === 'entity.too.large'
+      ? 'The request body is too large'
+      : (match ? match.message : 'The request body must be valid JSON')
+  });
+});
+
 app.listen(port, () => {
   console.log(`Backend server running on http://localhost:${port}`);
 });
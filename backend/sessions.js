@@ -0,0 +1,88 @@
+const path = require('path');
+const crypto = require('crypto');
+const { DATA_DIR, createFileStore } = require('./store');
+
+// Saved ranking sessions, one JSON file per session under SESSIONS_DIR
+const SESSIONS_DIR = process.env.SESSIONS_DIR || path.join(DATA_DIR, 'sessions');
+
+// What a client may store; anything else in a request body is ignored
+const SESSION_FIELDS = ['name', 'movies', 'importedMovies', 'rankings', 'comparisonLog', 'pendingUpdates', 'mode', 'progress', 'source', 'placement', 'seed', 'rngState', 'selection'];
+
+const SESSION_ID_PATTERN = /^[0-9a-f-]{36}$/;
+
+class SessionError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+const notFound = () => new SessionError('SESSION_NOT_FOUND', 'No saved session has this ID');
+
+function readSessionFields(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw new SessionError('INVALID_SESSION', 'A session must be a JSON object');
+  }
+  const fields = {};
+  for (const key of SESSION_FIELDS) {
+    if (body[key] !== undefined) fields[key] = body[key];
+  }
+  if (fields.movies !== undefined && !Array.isArray(fields.movies)) {
+    throw new SessionError('INVALID_SESSION', 'movies must be an array');
+  }
+  if (fields.rankings !== undefined && (typeof fields.rankings !== 'object' || Array.isArray(fields.rankings))) {
+    throw new SessionError('INVALID_SESSION', 'rankings must be an object keyed by film identifier');
+  }
+  return fields;
+}
+
+// The listing only carries what the resume screen shows
+function summarizeSession(session) {
+  return {
+    id: session.id,
+    name: session.name || null,
+    mode: session.mode || null,
+    movieCount: (session.movies || []).length,
+    progress: session.progress || null,
+    createdAt: session.createdAt,
+    updatedAt: session.updatedAt
+  };
+}
+
+function createSessionStore(directory = SESSIONS_DIR) {
+  const store = createFileStore(directory, SESSION_ID_PATTERN);
+
+  async function get(id) {
+    const session = await store.read(id);
+    if (!session) throw notFound();
+    return session;
+  }
+
+  async function list() {
+    const sessions = await Promise.all((await store.ids()).map(id => store.read(id)));
+    return sessions
+      .filter(Boolean)
+      .map(summarizeSession)
+      .sort((a, b) => b.updatedAt - a.updatedAt);
+  }
+
+  async function create(body) {
+    const now = Date.now();
+    const id = crypto.randomUUID();
+    return store.write(id, { ...readSessionFields(body), id, createdAt: now, updatedAt: now });
+  }
+
+  // Replaces the stored fields the body provides and keeps the rest
+  async function update(id, body) {
+    const existing = await get(id);
+    return store.write(id, { ...existing, ...readSessionFields(body), id, updatedAt: Date.now() });
+  }
+
+  async function remove(id) {
+    if (!(await store.remove(id))) throw notFound();
+  }
+
+  return { create, list, get, update, remove };
+}
+
+module.exports = { SESSIONS_DIR, SessionError, summarizeSession, createSessionStore };
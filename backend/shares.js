@@ -0,0 +1,90 @@
+const path = require('path');
+const crypto = require('crypto');
+const { DATA_DIR, createFileStore } = require('./store');
+
+// Read-only snapshots of finished rankings, published so they can be shared
+// by link. A snapshot never changes after it is created; whoever created it
+// holds an owner token that lets them revoke it, which deletes the content
+// and leaves a tombstone so the link explains what happened.
+const SHARES_DIR = process.env.SHARES_DIR || path.join(DATA_DIR, 'shares');
+
+// 8 URL-safe characters from 6 random bytes
+const SHARE_ID_PATTERN = /^[A-Za-z0-9_-]{8}$/;
+
+const MAX_SHARED_ENTRIES = 5000;
+
+// Film fields carried into a snapshot; everything else stays private
+const SHARED_MOVIE_FIELDS = ['identifier', 'title', 'year', 'poster', 'director', 'runtime', 'genres'];
+
+class ShareError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+function readSnapshot(body) {
+  const entries = body && body.entries;
+  if (!Array.isArray(entries) || entries.length === 0 || entries.length > MAX_SHARED_ENTRIES) {
+    throw new ShareError('INVALID_SHARE', `A shared ranking needs between 1 and ${MAX_SHARED_ENTRIES} entries`);
+  }
+  if (entries.some(entry => !entry || !entry.movie || typeof entry.movie.title !== 'string')) {
+    throw new ShareError('INVALID_SHARE', 'Every entry needs a movie with a title');
+  }
+
+  return {
+    name: typeof body.name === 'string' ? body.name.slice(0, 200) : null,
+    comparisons: Number.isFinite(body.comparisons) ? body.comparisons : null,
+    // Ranks follow the order given, whatever the client numbered them
+    entries: entries.map((entry, index) => ({
+      rank: index + 1,
+      movie: Object.fromEntries(
+        SHARED_MOVIE_FIELDS.filter(key => entry.movie[key] !== undefined).map(key => [key, entry.movie[key]])
+      ),
+      confidence: Number.isFinite(entry.confidence) ? Math.min(Math.max(entry.confidence, 0), 1) : null
+    }))
+  };
+}
+
+function createShareStore(directory = SHARES_DIR) {
+  const store = createFileStore(directory, SHARE_ID_PATTERN);
+
+  // Resolves to { share, ownerToken }; the token is only ever returned here
+  async function create(body) {
+    const snapshot = readSnapshot(body);
+    let id;
+    do {
+      id = crypto.randomBytes(6).toString('base64url');
+    } while (await store.read(id));
+
+    const ownerToken = crypto.randomBytes(24).toString('hex');
+    const share = { ...snapshot, id, createdAt: Date.now() };
+    await store.write(id, { ...share, ownerTokenHash: hashToken(ownerToken) });
+    return { share, ownerToken };
+  }
+
+  async function get(id) {
+    const stored = await store.read(id);
+    if (!stored) throw new ShareError('SHARE_NOT_FOUND', 'No shared ranking has this ID');
+    if (stored.revokedAt) throw new ShareError('SHARE_REVOKED', 'This ranking is no longer shared');
+    const { ownerTokenHash, ...share } = stored;
+    return share;
+  }
+
+  async function revoke(id, ownerToken) {
+    const stored = await store.read(id);
+    if (!stored || stored.revokedAt) throw new ShareError('SHARE_NOT_FOUND', 'No shared ranking has this ID');
+    const expected = Buffer.from(stored.ownerTokenHash, 'hex');
+    const given = Buffer.from(hashToken(ownerToken || ''), 'hex');
+    if (!crypto.timingSafeEqual(expected, given)) {
+      throw new ShareError('SHARE_FORBIDDEN', 'Only the owner can revoke this shared ranking');
+    }
+    await store.write(id, { id, createdAt: stored.createdAt, revokedAt: Date.now() });
+  }
+
+  return { create, get, revoke };
+}
+
+module.exports = { SHARES_DIR, ShareError, createShareStore };
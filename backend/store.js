@@ -0,0 +1,65 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+
+// Directories of JSON documents, one file per ID, used for saved sessions and
+// shared snapshots. Writes go through a temporary file and a rename so a crash
+// mid-save never leaves a half-written document behind.
+
+// Parent of each store's default directory
+const DATA_DIR = path.join(__dirname, '.data');
+
+// `idPattern` guards the file paths: IDs come straight from request URLs, so
+// anything but the IDs the store hands out is treated as missing
+function createFileStore(directory, idPattern) {
+  const documentPath = (id) => (idPattern.test(id) ? path.join(directory, `${id}.json`) : null);
+
+  async function read(id) {
+    const file = documentPath(id);
+    if (!file) return null;
+    try {
+      return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async function write(id, document) {
+    const file = documentPath(id);
+    if (!file) throw new Error(`Invalid document ID "${id}"`);
+    await fs.mkdir(directory, { recursive: true });
+    // Unique per write, so concurrent saves of one document never share it
+    const temporary = `${file}.${crypto.randomUUID()}.tmp`;
+    await fs.writeFile(temporary, JSON.stringify(document));
+    await fs.rename(temporary, file);
+    return document;
+  }
+
+  // Resolves to whether there was anything to remove
+  async function remove(id) {
+    const file = documentPath(id);
+    if (!file) return false;
+    try {
+      await fs.unlink(file);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async function ids() {
+    try {
+      const files = await fs.readdir(directory);
+      return files
+        .filter(file => file.endsWith('.json'))
+        .map(file => file.replace(/\.json$/, ''))
+        .filter(id => idPattern.test(id));
+    } catch (error) {
+      return [];
+    }
+  }
+
+  return { read, write, remove, ids };
+}
+
+module.exports = { DATA_DIR, createFileStore };
@@ -0,0 +1,82 @@
+import React from 'react';
+import { Plus, X } from 'lucide-react';
+
+export const MAX_ADDITIONAL_LISTS = 4;
+
+const COMBINE_MODES = [
+  { id: 'union', label: 'Union', hint: 'Rank films that are on any of the lists' },
+  { id: 'intersection', label: 'Intersection', hint: 'Rank only films that are on every list' },
+  { id: 'difference', label: 'Difference', hint: 'Rank films on the first list that are on none of the others' }
+];
+
+// Extra Letterboxd URLs imported alongside the main one, and how to combine them
+const AdditionalLists = ({ urls, onChange, combineMode, onCombineModeChange, isValidUrl, disabled }) => {
+  const updateUrl = (index, value) => onChange(urls.map((url, i) => (i === index ? value : url)));
+  const removeUrl = (index) => onChange(urls.filter((_, i) => i !== index));
+
+  return (
+    <div className="space-y-2">
+      {urls.map((url, index) => {
+        const invalid = url.trim() && !isValidUrl(url.trim());
+        return (
+          <div key={index} className="flex gap-2">
+            <input
+              type="text"
+              value={url}
+              onChange={(e) => updateUrl(index, e.target.value)}
+              placeholder="Another Letterboxd list, watchlist or films URL"
+              className={`input input-bordered input-sm w-full ${invalid ? 'input-error border-error/50' : ''}`}
+              disabled={disabled}
+              autoComplete="off"
+              spellCheck="false"
+            />
+            <button
+              type="button"
+              onClick={() => removeUrl(index)}
+              className="btn btn-sm btn-ghost btn-square"
+              disabled={disabled}
+              aria-label="Remove list"
+            >
+              <X className="w-4 h-4" />
+            </button>
+          </div>
+        );
+      })}
+
+      {urls.length > 0 && (
+        <div className="flex flex-wrap items-center gap-2">
+          <div className="join">
+            {COMBINE_MODES.map(mode => (
+              <button
+                key={mode.id}
+                type="button"
+                onClick={() => onCombineModeChange(mode.id)}
+                className={`join-item btn btn-xs ${combineMode === mode.id ? 'btn-primary' : 'btn-ghost'}`}
+                disabled={disabled}
+              >
+                {mode.label}
+              </button>
+            ))}
+          </div>
+          <span className="text-xs text-base-content/60">
+            {COMBINE_MODES.find(mode => mode.id === combineMode).hint}
+          </span>
+        </div>
+      )}
+
+      {urls.length < MAX_ADDITIONAL_LISTS && (
+        <button
+          type="button"
+          onClick={() => onChange([...urls, ''])}
+          className="btn btn-xs btn-ghost gap-1 -ml-2"
+          disabled={disabled}
+        >
+          <Plus className="w-3 h-3" />
+          Combine with another list
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default AdditionalLists;
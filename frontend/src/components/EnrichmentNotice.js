@@ -0,0 +1,64 @@
+import React, { useState } from 'react';
+import { ImageOff, ChevronDown, ChevronUp } from 'lucide-react';
+
+const REASON_LABELS = {
+  not_found: 'No metadata match',
+  no_poster: 'No poster available',
+  rate_limited: 'Lookup rate limit reached',
+  unavailable: 'Poster lookup unavailable',
+  request_failed: 'Lookup failed'
+};
+
+const EnrichmentNotice = ({ errors, totalMovies }) => {
+  const [expanded, setExpanded] = useState(false);
+
+  if (!errors || errors.length === 0) return null;
+
+  const countsByReason = errors.reduce((acc, error) => {
+    acc[error.reason] = (acc[error.reason] || 0) + 1;
+    return acc;
+  }, {});
+
+  return (
+    <div className="max-w-4xl mx-auto mb-8 bg-base-200 border border-warning/20 rounded-lg px-6 py-4">
+      <div className="flex gap-4 items-start">
+        <div className="p-2 rounded-full bg-warning/20">
+          <ImageOff className="w-5 h-5 text-warning" />
+        </div>
+        <div className="space-y-2 flex-1">
+          <div className="font-medium text-base-content">
+            {errors.length} of {totalMovies} posters couldn't be loaded
+          </div>
+          <div className="text-sm text-base-content/70">
+            {Object.entries(countsByReason)
+              .map(([reason, count]) => `${REASON_LABELS[reason] || reason}: ${count}`)
+              .join(' · ')}
+          </div>
+          <button
+            onClick={() => setExpanded(!expanded)}
+            className="btn btn-xs btn-ghost gap-1 -ml-2"
+          >
+            {expanded ? <ChevronUp className="w-3 h-3" /> : <ChevronDown className="w-3 h-3" />}
+            {expanded ? 'Hide films' : 'Show films'}
+          </button>
+          {expanded && (
+            <ul className="text-sm space-y-1 max-h-48 overflow-y-auto">
+              {errors.map(error => (
+                <li key={error.identifier} className="flex justify-between gap-4">
+                  <span className="truncate">
+                    {error.title} {error.year && <span className="text-base-content/60">({error.year})</span>}
+                  </span>
+                  <span className="text-base-content/60 flex-shrink-0" title={error.message}>
+                    {REASON_LABELS[error.reason] || error.reason}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default EnrichmentNotice;
@@ -0,0 +1,159 @@
+import React, { useState } from 'react';
+import { Upload, ArrowRight, ImageOff } from 'lucide-react';
+
+function ExportUpload({ onSubmit, disabled }) {
+  const [file, setFile] = useState(null);
+  const [sources, setSources] = useState([]);
+  const [selectedSource, setSelectedSource] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [errorMessage, setErrorMessage] = useState('');
+  // Set when the server can't look up posters, to offer importing without them
+  const [postersUnavailable, setPostersUnavailable] = useState(false);
+
+  const apiUrl = import.meta.env.VITE_API_URL || 'http://localhost:3001';
+
+  const uploadExport = async (exportFile, source, skipPosters = false) => {
+    const query = source ? `?source=${encodeURIComponent(source)}${skipPosters ? '&posters=skip' : ''}` : '';
+    const response = await fetch(`${apiUrl}/import/letterboxd-export${query}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/zip' },
+      body: exportFile
+    });
+    const data = await response.json();
+
+    if (!response.ok) {
+      setPostersUnavailable(data.code === 'ENRICHMENT_UNAVAILABLE');
+      throw new Error(data.message || 'Failed to read the export');
+    }
+    return data.data;
+  };
+
+  const handleFileChange = async (e) => {
+    const exportFile = e.target.files[0];
+    setFile(exportFile || null);
+    setSources([]);
+    setSelectedSource('');
+    setErrorMessage('');
+    setPostersUnavailable(false);
+    if (!exportFile) return;
+
+    setLoading(true);
+    try {
+      // First pass only lists what the archive contains
+      const { sources: available } = await uploadExport(exportFile);
+      setSources(available);
+      setSelectedSource(available[0]?.id || '');
+    } catch (error) {
+      console.error("Error reading export:", error);
+      setErrorMessage(error.message || "Failed to read the export. Please check the file and try again.");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleImport = async ({ skipPosters = false } = {}) => {
+    setLoading(true);
+    setErrorMessage('');
+    setPostersUnavailable(false);
+    try {
+      const { movies, enrichmentErrors } = await uploadExport(file, selectedSource, skipPosters);
+
+      if (!movies?.length) {
+        throw new Error('No movies found in the selected file');
+      }
+      if (movies.length < 2) {
+        throw new Error('Please choose a file or list with at least 2 movies');
+      }
+      onSubmit(movies, { enrichmentErrors });
+    } catch (error) {
+      console.error("Error importing export:", error);
+      setErrorMessage(error.message || "Failed to import movies from the export.");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="form-control w-full">
+        <label className="label">
+          <span className="label-text">Letterboxd Data Export (.zip)</span>
+        </label>
+        <input
+          type="file"
+          accept=".zip,application/zip"
+          onChange={handleFileChange}
+          className="file-input file-input-bordered w-full"
+          disabled={disabled || loading}
+        />
+        <label className="label">
+          <span className="label-text-alt text-base-content/60">
+            Export your data from Letterboxd Settings → Data. Works for private lists too.
+          </span>
+        </label>
+      </div>
+
+      {sources.length > 0 && (
+        <div className="form-control w-full">
+          <label className="label">
+            <span className="label-text">What do you want to rank?</span>
+          </label>
+          <select
+            className="select select-bordered w-full"
+            value={selectedSource}
+            onChange={(e) => setSelectedSource(e.target.value)}
+            disabled={disabled || loading}
+          >
+            {sources.map(source => (
+              <option key={source.id} value={source.id}>
+                {source.name} ({source.count} films)
+              </option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      {errorMessage && (
+        <div className="text-sm text-error">{errorMessage}</div>
+      )}
+      {postersUnavailable && !loading && (
+        <button type="button" onClick={() => handleImport({ skipPosters: true })} className="btn btn-xs btn-ghost gap-1 -ml-2">
+          <ImageOff className="w-3 h-3" />
+          Continue Without Posters
+        </button>
+      )}
+
+      {sources.length > 0 && (
+        <div className="text-center">
+          <button
+            type="button"
+            onClick={() => handleImport()}
+            disabled={disabled || loading || !selectedSource}
+            className="btn btn-wide btn-primary gap-2 hover:brightness-110 transition-all"
+          >
+            {loading ? (
+              <>
+                <span className="loading loading-spinner loading-sm"></span>
+                Importing...
+              </>
+            ) : (
+              <>
+                Start Ranking
+                <ArrowRight className="w-4 h-4 text-primary-content" />
+              </>
+            )}
+          </button>
+        </div>
+      )}
+
+      {loading && sources.length === 0 && (
+        <div className="flex items-center justify-center gap-2 text-sm text-base-content/70">
+          <Upload className="w-4 h-4" />
+          Reading export...
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ExportUpload;
@@ -0,0 +1,265 @@
+import React, { useState, useMemo } from 'react';
+import { ArrowLeft, ArrowRight, Filter, ListOrdered, RotateCcw } from 'lucide-react';
+import { collectGroupKeys, formatSourceLabel, describeMovie } from '../utils/metadata';
+import { EMPTY_FILTERS, applyFilters, isIncluded, matchesFilters, getYearBounds } from '../utils/filters';
+
+const parseBound = (value) => {
+  const number = parseInt(value, 10);
+  return Number.isFinite(number) ? number : null;
+};
+
+// Toggleable chip for the decade, genre and source filters
+const FilterChip = ({ label, active, onClick }) => (
+  <button
+    type="button"
+    onClick={onClick}
+    className={`badge badge-lg cursor-pointer transition-colors ${
+      active ? 'badge-primary' : 'badge-ghost hover:badge-outline'
+    }`}
+  >
+    {label}
+  </button>
+);
+
+const FilterSection = ({ title, children }) => (
+  <div className="space-y-2">
+    <h3 className="text-sm font-medium text-base-content/70">{title}</h3>
+    {children}
+  </div>
+);
+
+const RangeInputs = ({ min, max, onChange, placeholder, suffix }) => (
+  <div className="flex items-center gap-2">
+    <input
+      type="number"
+      value={min ?? ''}
+      onChange={(e) => onChange(parseBound(e.target.value), max)}
+      placeholder={placeholder.min}
+      className="input input-sm input-bordered w-28"
+    />
+    <span className="text-base-content/50">to</span>
+    <input
+      type="number"
+      value={max ?? ''}
+      onChange={(e) => onChange(min, parseBound(e.target.value))}
+      placeholder={placeholder.max}
+      className="input input-sm input-bordered w-28"
+    />
+    {suffix && <span className="text-sm text-base-content/50">{suffix}</span>}
+  </div>
+);
+
+// Narrows an imported list down before ranking. Films can also be ticked or
+// unticked one by one, which overrides the filters for that film.
+const FilterStep = ({ movies, onContinue, onBack }) => {
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [overrides, setOverrides] = useState({});
+  const [useListOrder, setUseListOrder] = useState(false);
+
+  const yearBounds = useMemo(() => getYearBounds(movies), [movies]);
+  const decades = useMemo(() => collectGroupKeys(movies, 'decade'), [movies]);
+  const genres = useMemo(() => collectGroupKeys(movies, 'genre'), [movies]);
+  const sources = useMemo(() => [...new Set(movies.flatMap(movie => movie.sources || []))], [movies]);
+  const hasRuntimes = useMemo(() => movies.some(movie => movie.runtime), [movies]);
+  const hasListOrder = useMemo(
+    () => movies.filter(movie => typeof movie.listPosition === 'number').length > 1,
+    [movies]
+  );
+
+  const selected = useMemo(
+    () => applyFilters(movies, filters, overrides),
+    [movies, filters, overrides]
+  );
+
+  const updateFilter = (changes) => setFilters(prev => ({ ...prev, ...changes }));
+  const toggleValue = (key, value) => updateFilter({
+    [key]: filters[key].includes(value)
+      ? filters[key].filter(item => item !== value)
+      : [...filters[key], value]
+  });
+
+  // Ticking a film back to what the filters say drops its override
+  const toggleMovie = (movie) => {
+    const included = isIncluded(movie, filters, overrides);
+    setOverrides(prev => {
+      const next = { ...prev };
+      if (!included === matchesFilters(movie, filters)) {
+        delete next[movie.identifier];
+      } else {
+        next[movie.identifier] = !included;
+      }
+      return next;
+    });
+  };
+
+  const resetFilters = () => {
+    setFilters(EMPTY_FILTERS);
+    setOverrides({});
+  };
+
+  return (
+    <div className="max-w-4xl mx-auto px-4 pb-12 space-y-8">
+      <div className="text-center space-y-2">
+        <h2 className="text-3xl font-bold">Choose What to Rank</h2>
+        <p className="text-base-content/70">
+          Narrow down the {movies.length} imported films, or keep them all.
+        </p>
+      </div>
+
+      <div className="bg-base-200 rounded-lg p-6 space-y-6">
+        <div className="flex items-center justify-between">
+          <div className="flex items-center gap-2 font-medium">
+            <Filter className="w-4 h-4 text-primary" />
+            Filters
+          </div>
+          <button type="button" onClick={resetFilters} className="btn btn-xs btn-ghost gap-1">
+            <RotateCcw className="w-3 h-3" />
+            Reset
+          </button>
+        </div>
+
+        {yearBounds && (
+          <FilterSection title="Release year">
+            <RangeInputs
+              min={filters.yearMin}
+              max={filters.yearMax}
+              onChange={(yearMin, yearMax) => updateFilter({ yearMin, yearMax })}
+              placeholder={{ min: yearBounds.min, max: yearBounds.max }}
+            />
+          </FilterSection>
+        )}
+
+        {decades.length > 1 && (
+          <FilterSection title="Decade">
+            <div className="flex flex-wrap gap-2">
+              {decades.map(decade => (
+                <FilterChip
+                  key={decade}
+                  label={decade}
+                  active={filters.decades.includes(decade)}
+                  onClick={() => toggleValue('decades', decade)}
+                />
+              ))}
+            </div>
+          </FilterSection>
+        )}
+
+        {genres.length > 0 && (
+          <FilterSection title="Genre">
+            <div className="flex flex-wrap gap-2">
+              {genres.map(genre => (
+                <FilterChip
+                  key={genre}
+                  label={genre}
+                  active={filters.genres.includes(genre)}
+                  onClick={() => toggleValue('genres', genre)}
+                />
+              ))}
+            </div>
+          </FilterSection>
+        )}
+
+        {hasRuntimes && (
+          <FilterSection title="Runtime">
+            <RangeInputs
+              min={filters.runtimeMin}
+              max={filters.runtimeMax}
+              onChange={(runtimeMin, runtimeMax) => updateFilter({ runtimeMin, runtimeMax })}
+              placeholder={{ min: 'Min', max: 'Max' }}
+              suffix="minutes"
+            />
+          </FilterSection>
+        )}
+
+        {sources.length > 1 && (
+          <FilterSection title="Source list">
+            <div className="flex flex-wrap gap-2">
+              {sources.map(source => (
+                <FilterChip
+                  key={source}
+                  label={formatSourceLabel(source)}
+                  active={filters.sources.includes(source)}
+                  onClick={() => toggleValue('sources', source)}
+                />
+              ))}
+            </div>
+          </FilterSection>
+        )}
+      </div>
+
+      <div className="bg-base-200 rounded-lg p-6 space-y-4">
+        <div className="flex items-center justify-between">
+          <div className="font-medium">
+            {selected.length} of {movies.length} films selected
+          </div>
+          {Object.keys(overrides).length > 0 && (
+            <span className="text-xs text-base-content/60">
+              {Object.keys(overrides).length} picked by hand
+            </span>
+          )}
+        </div>
+        <div className="max-h-96 overflow-y-auto space-y-1 pr-2">
+          {movies.map(movie => {
+            const included = isIncluded(movie, filters, overrides);
+            return (
+              <label
+                key={movie.identifier}
+                className={`flex items-center gap-3 px-2 py-1 rounded cursor-pointer hover:bg-base-300 ${
+                  included ? '' : 'opacity-50'
+                }`}
+              >
+                <input
+                  type="checkbox"
+                  className="checkbox checkbox-sm checkbox-primary"
+                  checked={included}
+                  onChange={() => toggleMovie(movie)}
+                />
+                <span className="truncate">{movie.title}</span>
+                <span className="text-sm text-base-content/60 truncate">{describeMovie(movie)}</span>
+              </label>
+            );
+          })}
+        </div>
+      </div>
+
+      {hasListOrder && (
+        <label className="bg-base-200 rounded-lg p-6 flex items-start gap-4 cursor-pointer">
+          <input
+            type="checkbox"
+            className="toggle toggle-primary mt-1"
+            checked={useListOrder}
+            onChange={(e) => setUseListOrder(e.target.checked)}
+          />
+          <div className="space-y-1">
+            <div className="flex items-center gap-2 font-medium">
+              <ListOrdered className="w-4 h-4 text-primary" />
+              Start from the list's order
+            </div>
+            <p className="text-sm text-base-content/70">
+              If the list is already roughly ranked, films start out in that order and the
+              comparisons only refine it, which takes far fewer of them.
+            </p>
+          </div>
+        </label>
+      )}
+
+      <div className="flex justify-between items-center">
+        <button type="button" onClick={onBack} className="btn btn-ghost gap-2">
+          <ArrowLeft className="w-4 h-4" />
+          Back
+        </button>
+        <button
+          type="button"
+          onClick={() => onContinue(selected, { useListOrder: hasListOrder && useListOrder })}
+          disabled={selected.length < 2}
+          className="btn btn-primary gap-2"
+        >
+          Rank {selected.length} Films
+          <ArrowRight className="w-4 h-4" />
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default FilterStep;
@@ -1,4 +1,5 @@
 import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { describeMovie } from '../utils/metadata';
 
 function GroupSelection({ 
   movies,
@@ -141,6 +142,7 @@ function GroupSelection({
                   <img
                     src={movie.poster || '/api/placeholder/400/600'}
                     alt={movie.title}
+                    title={movie.plot || movie.title}
                     className="w-full h-full object-cover rounded-lg"
                     style={{
                       objectPosition: 'center center'
@@ -156,7 +158,12 @@ function GroupSelection({
                   <h3 className="text-sm md:text-lg font-bold mb-0 md:mb-1 text-white truncate" title={movie.title}>
                     {movie.title}
                   </h3>
-                  <p className="text-white/90 text-xs md:text-sm">{movie.year}</p>
+                  <p className="text-white/90 text-xs md:text-sm truncate">{describeMovie(movie, { includeDirector: false })}</p>
+                  {movie.director && (
+                    <p className="hidden md:block text-white/70 text-xs truncate" title={movie.director}>
+                      {movie.director}
+                    </p>
+                  )}
                 </div>
                 
                 {/* Number indicator */}
@@ -0,0 +1,104 @@
+import React, { useState } from 'react';
+import { ArrowRight, ImageOff } from 'lucide-react';
+
+function ImdbImport({ onSubmit, disabled }) {
+  const [file, setFile] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [errorMessage, setErrorMessage] = useState('');
+  // Set when the server can't look up posters, to offer importing without them
+  const [postersUnavailable, setPostersUnavailable] = useState(false);
+
+  const handleImport = async ({ skipPosters = false } = {}) => {
+    setLoading(true);
+    setErrorMessage('');
+    setPostersUnavailable(false);
+    try {
+      const apiUrl = import.meta.env.VITE_API_URL || 'http://localhost:3001';
+      const response = await fetch(`${apiUrl}/import/imdb${skipPosters ? '?posters=skip' : ''}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ text: await file.text() })
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        setPostersUnavailable(data.code === 'ENRICHMENT_UNAVAILABLE');
+        throw new Error(data.message || 'Failed to import movies');
+      }
+
+      const { data: { movies, enrichmentErrors } } = data;
+
+      if (!movies?.length) {
+        throw new Error('No movies found in the IMDb export');
+      }
+      if (movies.length < 2) {
+        throw new Error('Please upload an export with at least 2 movies');
+      }
+      onSubmit(movies, { enrichmentErrors });
+    } catch (error) {
+      console.error("Error importing IMDb export:", error);
+      setErrorMessage(error.message || "Failed to import movies. Please check the file and try again.");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="form-control w-full">
+        <label className="label">
+          <span className="label-text">IMDb Ratings or List Export (.csv)</span>
+        </label>
+        <input
+          type="file"
+          accept=".csv,text/csv"
+          onChange={(e) => {
+            setFile(e.target.files[0] || null);
+            setErrorMessage('');
+          }}
+          className="file-input file-input-bordered w-full"
+          disabled={disabled || loading}
+        />
+        <label className="label">
+          <span className="label-text-alt text-base-content/60">
+            Export from Your Ratings or any list on IMDb. Your ratings will seed the ranking.
+          </span>
+        </label>
+      </div>
+
+      {errorMessage && (
+        <div className="text-sm text-error">{errorMessage}</div>
+      )}
+      {postersUnavailable && !loading && (
+        <button type="button" onClick={() => handleImport({ skipPosters: true })} className="btn btn-xs btn-ghost gap-1 -ml-2">
+          <ImageOff className="w-3 h-3" />
+          Continue Without Posters
+        </button>
+      )}
+
+      <div className="text-center">
+        <button
+          type="button"
+          onClick={() => handleImport()}
+          disabled={disabled || loading || !file}
+          className={`btn btn-wide gap-2 hover:brightness-110 transition-all
+            ${file ? 'btn-primary' : 'btn-disabled'}`}
+        >
+          {loading ? (
+            <>
+              <span className="loading loading-spinner loading-sm"></span>
+              Importing...
+            </>
+          ) : (
+            <>
+              Start Ranking
+              <ArrowRight className={`w-4 h-4 ${file ? 'text-primary-content' : 'text-accent'}`} />
+            </>
+          )}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default ImdbImport;
@@ -0,0 +1,81 @@
+import React from 'react';
+import { AlertCircle, ExternalLink, RefreshCw, Upload, ImageOff } from 'lucide-react';
+
+// How the import screen explains each error code from the backend, and the
+// recovery action it offers alongside
+const IMPORT_ERROR_HELP = {
+  INVALID_URL: {
+    hint: 'Paste the URL of a Letterboxd list, watchlist or films page.'
+  },
+  LIST_NOT_FOUND: {
+    hint: 'Check the URL for typos. The list may also have been renamed or deleted.',
+    action: 'open'
+  },
+  LIST_PRIVATE: {
+    hint: 'Letterboxd only shows this to its owner. If it\'s yours, import it from your data export instead.',
+    action: 'export'
+  },
+  EMPTY_LIST: {
+    hint: 'Add some films to it on Letterboxd, or try a different URL.',
+    action: 'open'
+  },
+  UPSTREAM_RATE_LIMITED: {
+    hint: 'Letterboxd is busy. Wait a minute before trying again.',
+    action: 'retry'
+  },
+  UPSTREAM_UNAVAILABLE: {
+    hint: 'Letterboxd may be down or slow to respond. Try again in a moment.',
+    action: 'retry'
+  },
+  ENRICHMENT_UNAVAILABLE: {
+    hint: 'This server has no API key for its metadata provider, so posters can\'t be loaded. You can still rank the list without them.',
+    action: 'skipPosters'
+  },
+  IMPORT_FAILED: {
+    hint: 'Something went wrong while importing the list.',
+    action: 'retry'
+  }
+};
+
+const ImportErrorAlert = ({ error, url, onRetry, onSkipPosters, onUseExport }) => {
+  const help = IMPORT_ERROR_HELP[error.code] || IMPORT_ERROR_HELP.IMPORT_FAILED;
+
+  return (
+    <div className="bg-error/10 border border-error/20 rounded-lg px-4 py-3">
+      <div className="flex gap-3 items-start">
+        <AlertCircle className="w-5 h-5 text-error shrink-0 mt-0.5" />
+        <div className="space-y-2 flex-1">
+          <div className="font-medium text-base-content">{error.message}</div>
+          <div className="text-sm text-base-content/70">{help.hint}</div>
+
+          {help.action === 'open' && (
+            <a href={url} target="_blank" rel="noopener noreferrer" className="btn btn-xs btn-ghost gap-1 -ml-2">
+              <ExternalLink className="w-3 h-3" />
+              Open on Letterboxd
+            </a>
+          )}
+          {help.action === 'export' && (
+            <button type="button" onClick={onUseExport} className="btn btn-xs btn-ghost gap-1 -ml-2">
+              <Upload className="w-3 h-3" />
+              Use Export ZIP
+            </button>
+          )}
+          {help.action === 'retry' && (
+            <button type="button" onClick={onRetry} className="btn btn-xs btn-ghost gap-1 -ml-2">
+              <RefreshCw className="w-3 h-3" />
+              Try Again
+            </button>
+          )}
+          {help.action === 'skipPosters' && (
+            <button type="button" onClick={onSkipPosters} className="btn btn-xs btn-ghost gap-1 -ml-2">
+              <ImageOff className="w-3 h-3" />
+              Continue Without Posters
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ImportErrorAlert;
@@ -0,0 +1,45 @@
+import React from 'react';
+import { X } from 'lucide-react';
+
+// Live status for a streamed list import: pages scraped, films found and
+// how many of them have had their posters looked up so far
+const ImportProgress = ({ progress, onCancel }) => {
+  const found = progress?.found || 0;
+  const enriched = progress?.enriched || 0;
+  // Lists advertise their size up front; otherwise measure against what's found so far
+  const total = Math.max(progress?.totalFilms || 0, found);
+
+  return (
+    <div className="space-y-3">
+      <div className="flex justify-between text-sm text-base-content/70">
+        <span>
+          {progress
+            ? `${progress.lists > 1 ? `List ${progress.list} of ${progress.lists} · ` : ''}Page ${progress.page}${progress.totalPages ? ` of ${progress.totalPages}` : ''} · ${found}${progress.totalFilms ? ` of ${progress.totalFilms}` : ''} films found`
+            : 'Connecting to Letterboxd...'}
+        </span>
+        {found > 0 && (
+          <span>Posters {enriched} / {total}</span>
+        )}
+      </div>
+
+      {found > 0 ? (
+        <progress className="progress progress-primary w-full" value={enriched} max={total} />
+      ) : (
+        <progress className="progress progress-primary w-full" />
+      )}
+
+      <div className="text-center">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="btn btn-sm btn-ghost gap-2"
+        >
+          <X className="w-4 h-4" />
+          Cancel Import
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ImportProgress;
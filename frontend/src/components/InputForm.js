@@ -1,12 +1,49 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { XCircle, Link as LinkIcon, ArrowRight } from 'lucide-react';
 import { motion, AnimatePresence } from 'framer-motion'; 
+import ExportUpload from './ExportUpload';
+import TitleListImport from './TitleListImport';
+import ImdbImport from './ImdbImport';
+import ImportProgress from './ImportProgress';
+import ImportErrorAlert from './ImportErrorAlert';
+import AdditionalLists from './AdditionalLists';
+
+const getLetterboxdUrlType = (url) => {
+  if (/^https?:\/\/(www\.)?letterboxd\.com\/[^/]+\/watchlist(\/.*)?$/.test(url)) return 'watchlist';
+  if (/^https?:\/\/(www\.)?letterboxd\.com\/[^/]+\/films(\/.*)?$/.test(url)) return 'films';
+  if (/^https?:\/\/(www\.)?letterboxd\.com\/[^/]+\/list\/[^/]+/.test(url)) return 'list';
+  return null;
+};
+
+const URL_TYPE_LABELS = {
+  list: 'List detected',
+  watchlist: 'Watchlist detected',
+  films: 'Watched films detected - your star ratings will seed the ranking'
+};
+
+// Errors that mean the URL itself needs changing rather than a retry
+const URL_ERROR_CODES = ['INVALID_URL', 'LIST_NOT_FOUND', 'LIST_PRIVATE', 'EMPTY_LIST'];
+
+const IMPORT_MODES = [
+  { id: 'url', label: 'Letterboxd URL', hint: 'Copy and paste a Letterboxd list, watchlist or films URL to get started' },
+  { id: 'export', label: 'Export ZIP', hint: 'Upload your Letterboxd data export to rank private lists and your history' },
+  { id: 'titles', label: 'Title List', hint: 'Paste or upload any list of titles, like a festival lineup or club picks' },
+  { id: 'imdb', label: 'IMDb CSV', hint: 'Upload your IMDb ratings or a list export to rank your IMDb history' }
+];
 
 function InputForm({ onSubmit }) {
   const [input, setInput] = useState('');
   const [loading, setLoading] = useState(false);
   const [validationState, setValidationState] = useState('initial'); // 'initial', 'valid', 'invalid'
   const [errorMessage, setErrorMessage] = useState('');
+  const [urlType, setUrlType] = useState(null); // 'list', 'watchlist', 'films' or null
+  const [importMode, setImportMode] = useState('url');
+  const [forceRefresh, setForceRefresh] = useState(false);
+  const [progress, setProgress] = useState(null); // latest event from the import stream
+  const [importError, setImportError] = useState(null); // { code, message } from the backend
+  const [extraUrls, setExtraUrls] = useState([]); // further lists combined with the main one
+  const [combineMode, setCombineMode] = useState('union');
+  const eventSourceRef = useRef(null);
 
   const isValidUrl = (string) => {
     try {
@@ -17,21 +54,9 @@ function InputForm({ onSubmit }) {
     }
   };
 
-  const isValidLetterboxdUrl = (url) => {
-    // Basic check for letterboxd.com domain
-    if (!url.includes('letterboxd.com/')) return false;
-    
-    // Check for valid structure: letterboxd.com/username and letterboxd.com/username/list/listname
-    // But reject letterboxd.com/username/lists
-    if (url.includes('/lists')) return false;
-    
-    const pattern = /^https?:\/\/(www\.)?letterboxd\.com\/[^/]+\/?$/;
-    const patternWithList = /^https?:\/\/(www\.)?letterboxd\.com\/[^/]+\/list(\/.*)?$/;
-    
-    return pattern.test(url) || patternWithList.test(url);
-  };
-
   const validateInput = useCallback((value) => {
+    setUrlType(null);
+
     // Empty or whitespace-only input should be initial state
     if (!value || !value.trim()) {
       setValidationState('initial');
@@ -46,13 +71,15 @@ function InputForm({ onSubmit }) {
       return;
     }
   
-    // Everything beyond letterboxd.com/ is valid except /lists/
-    if (value.includes('/lists/')) {
+    // The backend only imports list, watchlist and films pages
+    const type = getLetterboxdUrlType(value);
+    if (!type) {
       setValidationState('invalid');
-      setErrorMessage('Please enter a valid Letterboxd list URL');
+      setErrorMessage('Please enter a Letterboxd list, watchlist or films URL');
     } else {
       setValidationState('valid');
       setErrorMessage('');
+      setUrlType(type);
     }
   }, []);
 
@@ -68,37 +95,76 @@ function InputForm({ onSubmit }) {
     return () => clearTimeout(timeoutId);
   }, [input, validateInput]);
 
-  const handleFetchMovies = async () => {
+  // Close any import still streaming when the form unmounts
+  useEffect(() => () => eventSourceRef.current?.close(), []);
+
+  const stopImport = () => {
+    eventSourceRef.current?.close();
+    eventSourceRef.current = null;
+    setLoading(false);
+    setProgress(null);
+  };
+
+  const handleFetchMovies = ({ skipPosters = false } = {}) => {
     setLoading(true);
     setErrorMessage('');
-    try {
-      // Vite uses import.meta.env instead of process.env
-      const apiUrl = import.meta.env.VITE_API_URL || 'http://localhost:3001';
-      const response = await fetch(`${apiUrl}/fetch-movies?url=${encodeURIComponent(input)}`);
-      const data = await response.json();
-  
-      if (!response.ok) {
-        throw new Error(data.message || 'Failed to fetch movies');
+    setImportError(null);
+    setProgress(null);
+
+    // Vite uses import.meta.env instead of process.env
+    const apiUrl = import.meta.env.VITE_API_URL || 'http://localhost:3001';
+    const refreshParam = forceRefresh ? '&refresh=true' : '';
+    const postersParam = skipPosters ? '&posters=skip' : '';
+    const urls = [input, ...extraUrls.map(url => url.trim()).filter(Boolean)];
+    const urlParams = urls.map(url => `url=${encodeURIComponent(url)}`).join('&');
+    const combineParam = urls.length > 1 ? `&combine=${combineMode}` : '';
+    const eventSource = new EventSource(`${apiUrl}/fetch-movies/stream?${urlParams}${combineParam}${refreshParam}${postersParam}`);
+    eventSourceRef.current = eventSource;
+
+    // `code` is one of the backend's import error codes
+    const fail = (code, message) => {
+      stopImport();
+      setImportError({ code, message });
+      if (URL_ERROR_CODES.includes(code)) {
+        setValidationState('invalid');
       }
-  
-      const { data: { movies } } = data;
-        
+    };
+
+    eventSource.addEventListener('progress', (e) => {
+      setProgress(JSON.parse(e.data));
+    });
+
+    eventSource.addEventListener('complete', (e) => {
+      const { movies, enrichmentErrors } = JSON.parse(e.data);
       if (!movies?.length) {
-        throw new Error('No movies found in the provided URL');
+        return fail('EMPTY_LIST', 'No movies found in the provided URL');
       }
       if (movies.length < 2) {
-        throw new Error('Please enter a link with at least 2 movies');
+        return fail('EMPTY_LIST', 'Please enter a link with at least 2 movies');
       }
-      onSubmit(movies);
-    } catch (error) {
-      console.error("Error fetching movies:", error);
-      setErrorMessage(error.message || "Failed to fetch movies. Please check the URL and try again.");
-      setValidationState('invalid');
-    } finally {
-      setLoading(false);
-    }
+      stopImport();
+      // Remembered with the ranking so it can be synced with the list later,
+      // posters and all or without them as this import was
+      const source = { urls, combine: urls.length > 1 ? combineMode : null, skipPosters };
+      onSubmit(movies, { enrichmentErrors, source });
+    });
+
+    eventSource.addEventListener('failure', (e) => {
+      const data = JSON.parse(e.data);
+      console.error("Error fetching movies:", data.debug);
+      fail(data.code, data.message || 'Failed to fetch movies');
+    });
+
+    // Connection errors; without closing, EventSource would keep reconnecting
+    eventSource.onerror = () => {
+      console.error("Error fetching movies: the import stream was interrupted");
+      fail('IMPORT_FAILED', "Failed to fetch movies. Please check the URL and try again.");
+    };
   };
 
+  const canSubmit = validationState === 'valid'
+    && extraUrls.every(url => !url.trim() || getLetterboxdUrlType(url.trim()) !== null);
+
   const handleSubmit = (e) => {
     e.preventDefault();
     if (!input) {
@@ -118,19 +184,40 @@ function InputForm({ onSubmit }) {
     <div className="max-w-2xl mx-auto p-6 card bg-base-200 shadow-xl">
       <h2 className="text-2xl font-bold mb-6 text-center">Import Your Movie List</h2>
       
+      <div role="tablist" className="tabs tabs-boxed mb-6 justify-center">
+        {IMPORT_MODES.map(mode => (
+          <button
+            key={mode.id}
+            type="button"
+            role="tab"
+            className={`tab ${importMode === mode.id ? 'tab-active' : ''}`}
+            onClick={() => setImportMode(mode.id)}
+            disabled={loading}
+          >
+            {mode.label}
+          </button>
+        ))}
+      </div>
+
       <div className="mb-8 text-sm">
       <div className="alert bg-primary/10 text-primary-content shadow-lg">
         <LinkIcon className="w-5 h-5 text-accent" />
         <span className="text-base-content/80">
-          Copy and paste a Letterboxd list URL to get started
+          {IMPORT_MODES.find(mode => mode.id === importMode).hint}
         </span>
       </div>
       </div>
 
+      {importMode === 'url' && (
       <form onSubmit={handleSubmit} className="space-y-6">
       <div className="form-control w-full">
         <label className="label">
           <span className="label-text">Letterboxd List URL</span>
+          {validationState === 'valid' && urlType && (
+            <span className="label-text-alt text-base-content/60">
+              {URL_TYPE_LABELS[urlType]}
+            </span>
+          )}
         </label>
         <div className="relative">
           <input
@@ -138,6 +225,8 @@ function InputForm({ onSubmit }) {
             value={input}
             onChange={(e) => {
               setValidationState('initial'); // Reset validation state on each change
+              setUrlType(null);
+              setImportError(null);
               setInput(e.target.value);
             }}
             onPaste={(e) => {
@@ -145,15 +234,15 @@ function InputForm({ onSubmit }) {
               const pastedText = e.clipboardData.getData('text');
               const cleanUrl = pastedText.trim();
               
-              if (isValidLetterboxdUrl(cleanUrl)) {
+              if (getLetterboxdUrlType(cleanUrl)) {
                 setInput(cleanUrl);
                 setTimeout(() => validateInput(cleanUrl), 0);
               } else {
                 setValidationState('invalid');
-                setErrorMessage('Please paste a valid Letterboxd list URL');
+                setErrorMessage('Please paste a Letterboxd list, watchlist or films URL');
               }
             }}
-            placeholder="https://letterboxd.com/username/list/..."
+            placeholder="https://letterboxd.com/username/list/... or /username/watchlist/"
             className={`input input-bordered w-full pr-20 ${
               validationState === 'valid' ? 'input-success border-primary/50' : 
               validationState === 'invalid' ? 'input-error border-error/50' : ''
@@ -189,36 +278,80 @@ function InputForm({ onSubmit }) {
             <span className="label-text-alt text-error">{errorMessage}</span>
           </label>
         )}
+        <AdditionalLists
+          urls={extraUrls}
+          onChange={(urls) => {
+            setImportError(null);
+            setExtraUrls(urls);
+          }}
+          combineMode={combineMode}
+          onCombineModeChange={setCombineMode}
+          isValidUrl={(url) => getLetterboxdUrlType(url) !== null}
+          disabled={loading}
+        />
+        <label className="label cursor-pointer justify-start gap-2">
+          <input
+            type="checkbox"
+            className="checkbox checkbox-xs"
+            checked={forceRefresh}
+            onChange={(e) => setForceRefresh(e.target.checked)}
+            disabled={loading}
+          />
+          <span className="label-text-alt text-base-content/60">
+            Re-fetch from Letterboxd instead of using a recently cached copy
+          </span>
+        </label>
       </div>
 
+        {importError && !loading && (
+          <ImportErrorAlert
+            error={importError}
+            url={input}
+            onRetry={() => handleFetchMovies()}
+            onSkipPosters={() => handleFetchMovies({ skipPosters: true })}
+            onUseExport={() => {
+              setImportError(null);
+              setImportMode('export');
+            }}
+          />
+        )}
+
+        {loading ? (
+          <ImportProgress progress={progress} onCancel={stopImport} />
+        ) : (
         <div className="text-center">
         <button 
           type="submit" 
-          disabled={loading || validationState !== 'valid'}
+          disabled={!canSubmit}
           className={`btn btn-wide gap-2 hover:brightness-110 transition-all
-            ${validationState === 'valid' ? 'btn-primary' : 'btn-disabled'}`}
+            ${canSubmit ? 'btn-primary' : 'btn-disabled'}`}
         >
-          {loading ? (
-            <>
-              <span className="loading loading-spinner loading-sm"></span>
-              Fetching Movies...
-            </>
-          ) : (
-            <>
-              Start Ranking
-              <ArrowRight className={`w-4 h-4 ${validationState === 'valid' ? 'text-primary-content' : 'text-accent'}`} />
-            </>
-          )}
+          Start Ranking
+          <ArrowRight className={`w-4 h-4 ${canSubmit ? 'text-primary-content' : 'text-accent'}`} />
         </button>
         </div>
+        )}
       </form>
+      )}
+
+      {importMode === 'export' && (
+        <ExportUpload onSubmit={onSubmit} disabled={loading} />
+      )}
+
+      {importMode === 'titles' && (
+        <TitleListImport onSubmit={onSubmit} disabled={loading} />
+      )}
+
+      {importMode === 'imdb' && (
+        <ImdbImport onSubmit={onSubmit} disabled={loading} />
+      )}
 
       <div className="divider mt-8">How It Works</div>
       
       <div className="grid grid-cols-1 md:grid-cols-3 gap-4 text-center">
         <div className="card bg-base-300 p-4">
           <h3 className="font-bold mb-2">1. Import</h3>
-          <p className="text-sm text-base-content/70">Paste your Letterboxd list URL</p>
+          <p className="text-sm text-base-content/70">Paste a Letterboxd URL, upload an export or list your titles</p>
         </div>
         <div className="card bg-base-300 p-4">
           <h3 className="font-bold mb-2">2. Compare</h3>
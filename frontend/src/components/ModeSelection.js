@@ -1,16 +1,7 @@
 import React, { useMemo } from 'react';
 import { Timer, Zap, Target } from 'lucide-react';
-
-const RANKING_CONSTANTS = {
-  QUICK_MULTIPLIER: 2,
-  BALANCED_MULTIPLIER: 3.5,
-  THOROUGH_MULTIPLIER: 6,
-  MIN_QUICK_COMPARISONS: 25,
-  MIN_BALANCED_COMPARISONS: 45,
-  MIN_THOROUGH_COMPARISONS: 60,
-  MAX_BALANCED_COMPARISONS: 2000,
-  MAX_THOROUGH_COMPARISONS: 3000
-};
+import EnrichmentNotice from './EnrichmentNotice';
+import { comparisonBudgets } from '../engine';
 
 const ModeOption = ({ title, description, comparisons, time, icon: Icon, onClick }) => (
     <button
@@ -42,7 +33,7 @@ const ModeOption = ({ title, description, comparisons, time, icon: Icon, onClick
   </button>
 );
 
-const ModeSelection = ({ movies, onModeSelect }) => {
+const ModeSelection = ({ movies, onModeSelect, enrichmentErrors, seededFromListOrder = false }) => {
   const getEstimatedTime = (comparisons) => {
     // More realistic time estimation based on comparison count
     // Quick mode: ~5 sec per comparison
@@ -53,35 +44,7 @@ const ModeSelection = ({ movies, onModeSelect }) => {
   };
 
   const modeOptions = useMemo(() => {
-    const calculateOptions = (movieCount) => {
-      // Quick mode - less accurate but faster
-      const quickComparisons = Math.max(
-        Math.ceil(movieCount * RANKING_CONSTANTS.QUICK_MULTIPLIER),
-        RANKING_CONSTANTS.MIN_QUICK_COMPARISONS
-      );
-      
-      // Balanced mode - good balance between accuracy and time
-      const baseComparisons = movieCount * RANKING_CONSTANTS.BALANCED_MULTIPLIER;
-      const extraComparisons = Math.ceil(movieCount * Math.log2(movieCount));
-      const balancedComparisons = Math.min(
-        Math.max(baseComparisons + extraComparisons, RANKING_CONSTANTS.MIN_BALANCED_COMPARISONS),
-        RANKING_CONSTANTS.MAX_BALANCED_COMPARISONS
-      );
-      
-      // Thorough mode - highest accuracy
-      const thoroughComparisons = Math.min(
-        Math.max(movieCount * RANKING_CONSTANTS.THOROUGH_MULTIPLIER + extraComparisons, RANKING_CONSTANTS.MIN_THOROUGH_COMPARISONS),
-        RANKING_CONSTANTS.MAX_THOROUGH_COMPARISONS
-      );
-
-      return {
-        quick: quickComparisons,
-        balanced: balancedComparisons,
-        thorough: thoroughComparisons
-      };
-    };
-
-    const options = calculateOptions(movies.length);
+    const options = comparisonBudgets(movies.length, seededFromListOrder);
 
     return [
       {
@@ -109,15 +72,22 @@ const ModeSelection = ({ movies, onModeSelect }) => {
         icon: Timer
       }
     ];
-  }, [movies.length]);
+  }, [movies.length, seededFromListOrder]);
 
   return (
     <div className="container mx-auto p-6">
+        <EnrichmentNotice errors={enrichmentErrors} totalMovies={movies.length} />
+
         <div className="text-center mb-8">
             <h2 className="text-2xl font-bold mb-2">Choose Your Ranking Mode</h2>
             <p className="text-base-content/70">
             Select how thorough you want the ranking process to be
             </p>
+            {seededFromListOrder && (
+              <p className="text-sm text-base-content/60 mt-2">
+                Starting from your list's order, so fewer comparisons are needed
+              </p>
+            )}
         </div>
 
         <div className="grid gap-6 grid-cols-1 lg:grid-cols-3 lg:gap-8 max-w-md lg:max-w-4xl mx-auto place-items-center">
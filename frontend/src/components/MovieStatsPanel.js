@@ -1,5 +1,6 @@
 import React from 'react';
 import { AlertCircle, ArrowUp, BarChart2, Sigma, Calculator, PieChart } from 'lucide-react';
+import { formatRuntime, formatSourceLabel } from '../utils/metadata';
 
 const STAT_TOOLTIPS = {
     "Win Rate": "The percentage of head-to-head comparisons this movie won. A higher win rate indicates this movie was consistently preferred over others.",
@@ -7,9 +8,17 @@ const STAT_TOOLTIPS = {
     "Confidence": "Our statistical confidence in this movie's current ranking position, based on consistency of results and number of comparisons. Higher confidence means more reliable placement.",
     "Relative Strength": "How well this movie performed against others ranked nearby (±5 positions). A high percentage indicates strong performance against similar-ranked movies.",
     "Group Selection": "In multi-movie group selections, how often this movie was chosen as the favorite. A higher rate indicates strong preference in comparative groups.",
-    "Uncertainty": "The statistical uncertainty in this movie's rating. Lower values indicate more consistent performance and higher confidence in the rating."
+    "Strength": "This movie's Bradley-Terry strength, fitted to every comparison you made, with its standard error. A movie beats one rated a point lower about 73% of the time. A smaller standard error means the comparisons pin the strength down more tightly."
   };
 
+// Standard errors of a fitted strength that count as low and moderate uncertainty
+const STANDARD_ERROR_LEVELS = { LOW: 0.5, MODERATE: 1 };
+
+const getUncertaintyLevel = (standardError) =>
+  standardError < STANDARD_ERROR_LEVELS.LOW ? { label: 'low', color: 'text-success' }
+    : standardError < STANDARD_ERROR_LEVELS.MODERATE ? { label: 'moderate', color: 'text-warning' }
+    : { label: 'high', color: 'text-error' };
+
 const getConfidenceLevel = (score) => {
     if (score >= 0.8) return { label: 'Very High', color: 'text-primary' };
     if (score >= 0.6) return { label: 'High', color: 'text-primary/80' };
@@ -37,9 +46,10 @@ const getConfidenceLevel = (score) => {
     
     narrative += `When matched against similarly ranked movies (±5 positions), it won ${neighborPerformance}% of the time. `;
     
-    // Add Bayesian confidence info
-    const uncertaintyLevel = stats.ratingUncertainty < 0.3 ? 'low' : stats.ratingUncertainty < 0.6 ? 'moderate' : 'high';
-    narrative += `Based on all data, we have ${confidenceLevel.label.toLowerCase()} confidence with ${uncertaintyLevel} uncertainty in its current ranking position.`;
+    // Add confidence and fit uncertainty info
+    narrative += stats.standardError != null
+      ? `Based on all data, we have ${confidenceLevel.label.toLowerCase()} confidence with ${getUncertaintyLevel(stats.standardError).label} uncertainty in its current ranking position.`
+      : `Based on all data, we have ${confidenceLevel.label.toLowerCase()} confidence in its current ranking position.`;
     
     return narrative;
   };
@@ -79,8 +89,8 @@ const MovieStatsPanel = ({
     recentResults,
     confidence,
     neighborPerformance,
-    ratingMean,
-    ratingUncertainty,
+    strength,
+    standardError,
     groupSelections
   }
 }) => {
@@ -93,14 +103,44 @@ const MovieStatsPanel = ({
     wins, 
     comparisons, 
     confidence,
-    ratingUncertainty,
+    standardError,
     recentResults,
     neighborPerformance,
     groupSelections
   });
 
+  const filmDetails = [
+    movie.director && `Directed by ${movie.director}`,
+    formatRuntime(movie.runtime),
+    movie.letterboxdRating != null && `★ ${movie.letterboxdRating.toFixed(2)} on Letterboxd`
+  ].filter(Boolean);
+
   return (
     <div className="py-6 px-4 bg-base-200/50 rounded-lg animate-[slideUp_0.3s_ease-out]">
+      {/* Film Details */}
+      {(filmDetails.length > 0 || movie.genres?.length > 0 || movie.plot || movie.sources?.length > 1) && (
+        <div className="mb-6 space-y-2">
+          {filmDetails.length > 0 && (
+            <div className="text-sm text-base-content/70">{filmDetails.join(' · ')}</div>
+          )}
+          {movie.genres?.length > 0 && (
+            <div className="flex flex-wrap gap-1">
+              {movie.genres.map(genre => (
+                <span key={genre} className="badge badge-sm badge-ghost">{genre}</span>
+              ))}
+            </div>
+          )}
+          {movie.plot && (
+            <p className="text-sm text-base-content/60 italic leading-relaxed">{movie.plot}</p>
+          )}
+          {movie.sources?.length > 1 && (
+            <div className="text-xs text-base-content/50">
+              On {movie.sources.map(formatSourceLabel).join(', ')}
+            </div>
+          )}
+        </div>
+      )}
+
       {/* Narrative Section */}
       <div className="mb-6 text-base-content/80 leading-relaxed">
         {narrative}
@@ -146,13 +186,15 @@ const MovieStatsPanel = ({
               valueColor={groupSelectionRate >= 50 ? 'text-success' : 'text-warning'}
           />
         )}
-        <StatBox 
-            label="Uncertainty"
-            value={`${(ratingUncertainty * 100).toFixed(1)}%`}
-            icon={Calculator}
-            detail="lower is better"
-            valueColor={ratingUncertainty < 0.3 ? 'text-success' : ratingUncertainty < 0.6 ? 'text-warning' : 'text-error'}
-        />
+        {standardError != null && (
+          <StatBox 
+              label="Strength"
+              value={strength.toFixed(2)}
+              icon={Calculator}
+              detail={`± ${standardError.toFixed(2)} std. error`}
+              valueColor={getUncertaintyLevel(standardError).color}
+          />
+        )}
       </div>
 
       {/* Recent Results Timeline */}
@@ -3,6 +3,7 @@ import React from 'react';
 const ProgressBar = ({ currentStep }) => {
   const steps = [
     { key: 'input', label: 'Import List' },
+    { key: 'filter', label: 'Filter Films' },
     { key: 'mode-selection', label: 'Select Mode' },
     { key: 'instructions', label: 'Instructions' },
     { key: 'ranking', label: 'Compare Movies' },
@@ -1,8 +1,10 @@
 import React, { useState, useMemo, useCallback } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { AlertCircle, ChevronUp, Download, LineChart, Check } from 'lucide-react';
+import { AlertCircle, ChevronUp, Download, LineChart, Check, RefreshCw, Share2, Copy, Link2Off } from 'lucide-react';
 import MovieStatsPanel from './MovieStatsPanel';
 import EnhancedExplanation from './Explanation';
+import { buildShareSnapshot, publishShare, revokeShare, getShareUrl } from '../utils/shares';
+import { formatRuntime, RESULT_GROUPINGS, getGroupKeys, collectGroupKeys, hasMetadata } from '../utils/metadata';
 
 const style = document.createElement('style');
 style.textContent = `
@@ -28,8 +30,12 @@ style.textContent = `
 `;
 document.head.appendChild(style);
 
-const MovieResults = ({ rankings, calculateConfidence }) => {
+// `onSync` is only passed for rankings imported from Letterboxd URLs
+const MovieResults = ({ rankings, calculateConfidence, onSync, syncState = { status: 'idle', message: '' }, name }) => {
   const [expandedMovie, setExpandedMovie] = useState(null);
+  const [grouping, setGrouping] = useState('none');
+  const [genreFilter, setGenreFilter] = useState('all');
+  const [share, setShare] = useState({ status: 'idle', id: null, message: '' });
   
   // Calculate direct comparison consistency rate
   const calculateDirectComparisonConsistency = useCallback(() => {
@@ -43,12 +49,13 @@ const MovieResults = ({ rankings, calculateConfidence }) => {
       for (const result of movie.recentResults) {
         if (!result.opponent) continue;
         
-        // Record this comparison outcome (winner -> loser)
-        const key = result.result === 1 ? 
-          `${movie.movie.identifier}-${result.opponent}` : 
-          `${result.opponent}-${movie.movie.identifier}`;
+        // Record this comparison outcome (winner -> loser). Identifiers are
+        // slugs that contain hyphens, so keep the pair rather than splitting a key.
+        const [winnerId, loserId] = result.result === 1 ? 
+          [movie.movie.identifier, result.opponent] : 
+          [result.opponent, movie.movie.identifier];
         
-        directComparisons.set(key, true);
+        directComparisons.set(`${winnerId}>${loserId}`, [winnerId, loserId]);
       }
     }
     
@@ -60,8 +67,7 @@ const MovieResults = ({ rankings, calculateConfidence }) => {
     const sortedRankings = [...rankings].sort((a, b) => b.rating - a.rating);
     const rankingsMap = new Map(sortedRankings.map(r => [r.movie.identifier, r]));
     
-    for (const [comparison] of directComparisons) {
-      const [winnerId, loserId] = comparison.split('-');
+    for (const [winnerId, loserId] of directComparisons.values()) {
       totalChecked++;
       
       // Find the movies in the rankings
@@ -85,6 +91,31 @@ const MovieResults = ({ rankings, calculateConfidence }) => {
   
   const consistencyScore = useMemo(() => calculateDirectComparisonConsistency(), [calculateDirectComparisonConsistency]);
   const sortedMovies = useMemo(() => [...rankings].sort((a, b) => b.rating - a.rating), [rankings]);
+  const showMetadataControls = useMemo(() => hasMetadata(rankings.map(r => r.movie)), [rankings]);
+  const availableGenres = useMemo(() => collectGroupKeys(rankings.map(r => r.movie), 'genre'), [rankings]);
+
+  // Filtered movies split into groups, each keeping its overall rank. Movies
+  // missing the grouped field are collected under "Unknown" at the end.
+  const movieGroups = useMemo(() => {
+    const visible = sortedMovies
+      .map((rankingData, index) => ({ rankingData, index }))
+      .filter(({ rankingData }) =>
+        genreFilter === 'all' || (rankingData.movie.genres || []).includes(genreFilter)
+      );
+    if (visible.length === 0) return [];
+    if (grouping === 'none') return [{ key: null, items: visible }];
+
+    const keys = collectGroupKeys(visible.map(({ rankingData }) => rankingData.movie), grouping);
+    const groups = keys.map(key => ({
+      key,
+      items: visible.filter(({ rankingData }) => getGroupKeys(rankingData.movie, grouping).includes(key))
+    }));
+    const ungrouped = visible.filter(({ rankingData }) => getGroupKeys(rankingData.movie, grouping).length === 0);
+    if (ungrouped.length > 0) {
+      groups.push({ key: 'Unknown', items: ungrouped });
+    }
+    return groups;
+  }, [sortedMovies, grouping, genreFilter]);
 
   const calculateNeighborPerformance = (movies, currentIndex) => {
     const range = 5;
@@ -123,11 +154,13 @@ const MovieResults = ({ rankings, calculateConfidence }) => {
 
   const exportToCsv = () => {
     const csvContent = [
-      ['Rank', 'Title', 'Year'],
+      ['Rank', 'Title', 'Year', 'Strength', 'Standard Error'],
       ...sortedMovies.map((rankingData, index) => [
         index + 1,
         rankingData.movie.title,
         rankingData.movie.year,
+        (rankingData.strength ?? rankingData.rating).toFixed(3),
+        rankingData.standardError != null ? rankingData.standardError.toFixed(3) : '',
       ])
     ].map(row => row.join(',')).join('\n');
 
@@ -142,6 +175,147 @@ const MovieResults = ({ rankings, calculateConfidence }) => {
     window.URL.revokeObjectURL(url);
   };
 
+  // Publishes a read-only snapshot of the ranking as it stands now
+  const handleShare = async () => {
+    setShare({ status: 'publishing', id: null, message: '' });
+    try {
+      const id = await publishShare(buildShareSnapshot(sortedMovies, calculateConfidence, name));
+      setShare({ status: 'shared', id, message: '' });
+    } catch (error) {
+      console.error('Error sharing ranking:', error);
+      setShare({ status: 'error', id: null, message: error.message || 'The ranking could not be shared' });
+    }
+  };
+
+  const handleRevoke = async () => {
+    setShare(prev => ({ ...prev, status: 'revoking' }));
+    try {
+      await revokeShare(share.id);
+      setShare({ status: 'idle', id: null, message: 'The link no longer works' });
+    } catch (error) {
+      console.error('Error revoking shared ranking:', error);
+      setShare(prev => ({ ...prev, status: 'shared', message: error.message || 'The link could not be revoked' }));
+    }
+  };
+
+  // `index` is the movie's overall position, which stays the same when the
+  // list is filtered or grouped
+  const renderMovie = (rankingData, index, key) => (
+    <motion.div
+      key={key}
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.3, delay: index * 0.05 }}
+    >
+      <div className={`group relative flex gap-6 p-4 ${
+        expandedMovie === rankingData.movie.identifier 
+          ? 'bg-base-300 shadow-lg shadow-primary/5 -translate-y-0.5 border-primary/20' 
+          : 'bg-base-200'
+      } rounded-lg transition-all duration-300
+      hover:bg-base-300 hover:shadow-lg hover:shadow-primary/5 hover:-translate-y-0.5
+      border border-base-content/5 hover:border-primary/20`}>
+        {/* Subtle gradient overlay */}
+        <div className="absolute inset-0 bg-gradient-to-r from-primary/[0.03] via-transparent to-transparent 
+                      opacity-0 group-hover:opacity-100 transition-opacity rounded-lg" />
+        
+        {/* Movie Poster */}
+        <div className="w-16 h-24 flex-shrink-0 overflow-hidden rounded shadow-md">
+        <img
+          src={rankingData.movie.poster || '/api/placeholder/400/600'}
+          alt={rankingData.movie.title}
+          className={`w-full h-full object-cover rounded transition-transform duration-300
+                      ${expandedMovie === rankingData.movie.identifier ? 'scale-105' : ''}
+                      group-hover:scale-105`}
+        />
+        </div>
+        
+        {/* Movie Info and Stats Button */}
+        <div className="flex-grow flex items-center justify-between min-w-0 relative z-10">
+          <div className="flex items-center min-w-0">
+            <div className="mr-6 w-10 text-center flex-shrink-0">
+              <span className="font-bold text-2xl text-primary group-hover:text-primary/80 transition-colors">
+                #{index + 1}
+              </span>
+            </div>
+            
+            <div className="min-w-0">
+              <div className="flex items-baseline gap-3">
+                <h3 className="font-crimson font-bold text-2xl leading-tight truncate">
+                  {rankingData.movie.title}
+                </h3>
+                <span className="text-lg text-base-content/70 flex-shrink-0 transition-colors
+                             group-hover:text-base-content/80">
+                  {rankingData.movie.year}
+                </span>
+              </div>
+              {(rankingData.movie.director || rankingData.movie.runtime || rankingData.movie.genres?.length > 0) && (
+                <div className="text-sm text-base-content/60 truncate mt-1">
+                  {[
+                    rankingData.movie.director,
+                    formatRuntime(rankingData.movie.runtime),
+                    rankingData.movie.genres?.join(', ')
+                  ].filter(Boolean).join(' · ')}
+                </div>
+              )}
+            </div>
+          </div>
+
+          {/* Stats Button */}
+          <button
+            onClick={() => setExpandedMovie(
+              expandedMovie === rankingData.movie.identifier 
+                ? null 
+                : rankingData.movie.identifier
+            )}
+            className={`ml-4 btn btn-sm btn-ghost gap-2 ${expandedMovie === rankingData.movie.identifier ? 'opacity-100' : 'opacity-0 group-hover:opacity-100'} transition-opacity`}
+          >
+            {expandedMovie === rankingData.movie.identifier ? (
+              <>
+                <ChevronUp className="w-4 h-4" />
+                Hide Stats
+              </>
+            ) : (
+              <>
+                <LineChart className="w-4 h-4" />
+                Show Stats
+              </>
+            )}
+          </button>
+        </div>
+      </div>
+
+      {/* Stats Panel */}
+      <AnimatePresence>
+        {expandedMovie === rankingData.movie.identifier && (
+          <motion.div
+            initial={{ opacity: 0, height: 0 }}
+            animate={{ opacity: 1, height: 'auto' }}
+            exit={{ opacity: 0, height: 0 }}
+            transition={{ duration: 0.2, ease: "easeInOut" }}
+            className="mt-1"
+          >
+            <MovieStatsPanel
+              movie={rankingData.movie}
+              stats={{
+                rating: rankingData.rating,
+                wins: rankingData.wins || 0,
+                losses: rankingData.losses || 0,
+                comparisons: rankingData.comparisons || 0,
+                recentResults: rankingData.recentResults || [],
+                confidence: calculateConfidence(rankingData.movie.identifier),
+                neighborPerformance: calculateNeighborPerformance(sortedMovies, index),
+                // From the Bradley-Terry refit that runs when the ranking finishes
+                strength: rankingData.strength ?? rankingData.rating,
+                standardError: rankingData.standardError,
+                groupSelections: rankingData.groupSelections || { chosen: 0, appearances: 0 }
+              }}
+            />
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </motion.div>
+  );
+
   return (
     <div className="container mx-auto px-4 py-8">
       {/* Header */}
@@ -151,15 +325,75 @@ const MovieResults = ({ rankings, calculateConfidence }) => {
               <h2 className="text-4xl font-bold">Your Movie Rankings</h2>
               <EnhancedExplanation />
             </div>
-            <button
-              onClick={exportToCsv}
-              className="btn btn-primary gap-2"
-            >
-              <Download className="w-5 h-5" />
-              Export
-            </button>
+            <div className="flex items-center gap-2">
+              {onSync && (
+                <button
+                  onClick={onSync}
+                  className="btn btn-ghost gap-2"
+                  disabled={syncState.status === 'syncing'}
+                  title="Re-fetch the list, drop removed films and rank only the new ones"
+                >
+                  <RefreshCw className={`w-5 h-5 ${syncState.status === 'syncing' ? 'animate-spin' : ''}`} />
+                  Sync with List
+                </button>
+              )}
+              <button
+                onClick={handleShare}
+                className="btn btn-ghost gap-2"
+                disabled={share.status === 'publishing' || share.status === 'revoking'}
+              >
+                <Share2 className="w-5 h-5" />
+                Share
+              </button>
+              <button
+                onClick={exportToCsv}
+                className="btn btn-primary gap-2"
+              >
+                <Download className="w-5 h-5" />
+                Export
+              </button>
+            </div>
           </div>
 
+          {share.id && (
+            <div className="flex items-center gap-2">
+              <input
+                type="text"
+                readOnly
+                value={getShareUrl(share.id)}
+                onFocus={(e) => e.target.select()}
+                className="input input-sm input-bordered flex-grow"
+              />
+              <button
+                onClick={() => navigator.clipboard?.writeText(getShareUrl(share.id))}
+                className="btn btn-sm btn-ghost gap-1"
+              >
+                <Copy className="w-4 h-4" />
+                Copy
+              </button>
+              <button
+                onClick={handleRevoke}
+                className="btn btn-sm btn-ghost gap-1 text-error"
+                disabled={share.status === 'revoking'}
+              >
+                <Link2Off className="w-4 h-4" />
+                Revoke
+              </button>
+            </div>
+          )}
+
+          {share.message && (
+            <div className={`text-sm ${share.status === 'error' ? 'text-error' : 'text-base-content/70'}`}>
+              {share.message}
+            </div>
+          )}
+
+          {syncState.message && (
+            <div className={`text-sm ${syncState.status === 'error' ? 'text-error' : 'text-base-content/70'}`}>
+              {syncState.message}
+            </div>
+          )}
+
         {/* Results Summary Card */}
         <div className="relative overflow-hidden bg-gradient-to-r from-primary/10 via-primary/5 to-transparent 
                      border border-primary/10 rounded-lg px-6 py-4 mb-6">
@@ -191,7 +425,7 @@ const MovieResults = ({ rankings, calculateConfidence }) => {
                   </div>
                   <div>
                     <span className="text-base-content/70">Ranking method:</span>{' '}
-                    <span className="font-medium">Bayesian with direct comparison consistency</span>
+                    <span className="font-medium">Bradley-Terry fit to every comparison</span>
                   </div>
                 </div>
               </div>
@@ -234,112 +468,45 @@ const MovieResults = ({ rankings, calculateConfidence }) => {
 
       {/* Results List */}
       <div className="space-y-4 max-w-3xl mx-auto">
-        {sortedMovies.map((rankingData, index) => (
-          <motion.div
-            key={rankingData.movie.identifier}
-            initial={{ opacity: 0, y: 20 }}
-            animate={{ opacity: 1, y: 0 }}
-            transition={{ duration: 0.3, delay: index * 0.05 }}
-          >
-            <div className={`group relative flex gap-6 p-4 ${
-              expandedMovie === rankingData.movie.identifier 
-                ? 'bg-base-300 shadow-lg shadow-primary/5 -translate-y-0.5 border-primary/20' 
-                : 'bg-base-200'
-            } rounded-lg transition-all duration-300
-            hover:bg-base-300 hover:shadow-lg hover:shadow-primary/5 hover:-translate-y-0.5
-            border border-base-content/5 hover:border-primary/20`}>
-              {/* Subtle gradient overlay */}
-              <div className="absolute inset-0 bg-gradient-to-r from-primary/[0.03] via-transparent to-transparent 
-                            opacity-0 group-hover:opacity-100 transition-opacity rounded-lg" />
-              
-              {/* Movie Poster */}
-              <div className="w-16 h-24 flex-shrink-0 overflow-hidden rounded shadow-md">
-              <img
-                src={rankingData.movie.poster || '/api/placeholder/400/600'}
-                alt={rankingData.movie.title}
-                className={`w-full h-full object-cover rounded transition-transform duration-300
-                            ${expandedMovie === rankingData.movie.identifier ? 'scale-105' : ''}
-                            group-hover:scale-105`}
-              />
-              </div>
-              
-              {/* Movie Info and Stats Button */}
-              <div className="flex-grow flex items-center justify-between min-w-0 relative z-10">
-                <div className="flex items-center min-w-0">
-                  <div className="mr-6 w-10 text-center flex-shrink-0">
-                    <span className="font-bold text-2xl text-primary group-hover:text-primary/80 transition-colors">
-                      #{index + 1}
-                    </span>
-                  </div>
-                  
-                  <div className="min-w-0">
-                    <div className="flex items-baseline gap-3">
-                      <h3 className="font-crimson font-bold text-2xl leading-tight truncate">
-                        {rankingData.movie.title}
-                      </h3>
-                      <span className="text-lg text-base-content/70 flex-shrink-0 transition-colors
-                                   group-hover:text-base-content/80">
-                        {rankingData.movie.year}
-                      </span>
-                    </div>
-                  </div>
-                </div>
-
-                {/* Stats Button */}
-                <button
-                  onClick={() => setExpandedMovie(
-                    expandedMovie === rankingData.movie.identifier 
-                      ? null 
-                      : rankingData.movie.identifier
-                  )}
-                  className={`ml-4 btn btn-sm btn-ghost gap-2 ${expandedMovie === rankingData.movie.identifier ? 'opacity-100' : 'opacity-0 group-hover:opacity-100'} transition-opacity`}
-                >
-                  {expandedMovie === rankingData.movie.identifier ? (
-                    <>
-                      <ChevronUp className="w-4 h-4" />
-                      Hide Stats
-                    </>
-                  ) : (
-                    <>
-                      <LineChart className="w-4 h-4" />
-                      Show Stats
-                    </>
-                  )}
-                </button>
-              </div>
-            </div>
-
-            {/* Stats Panel */}
-            <AnimatePresence>
-              {expandedMovie === rankingData.movie.identifier && (
-                <motion.div
-                  initial={{ opacity: 0, height: 0 }}
-                  animate={{ opacity: 1, height: 'auto' }}
-                  exit={{ opacity: 0, height: 0 }}
-                  transition={{ duration: 0.2, ease: "easeInOut" }}
-                  className="mt-1"
-                >
-                  <MovieStatsPanel
-                    movie={rankingData.movie}
-                    stats={{
-                      rating: rankingData.rating,
-                      wins: rankingData.wins || 0,
-                      losses: rankingData.losses || 0,
-                      comparisons: rankingData.comparisons || 0,
-                      recentResults: rankingData.recentResults || [],
-                      confidence: calculateConfidence(rankingData.movie.identifier),
-                      neighborPerformance: calculateNeighborPerformance(sortedMovies, index),
-                      // New Bayesian properties
-                      ratingMean: rankingData.ratingMean || 0,
-                      ratingUncertainty: rankingData.ratingUncertainty || 1,
-                      groupSelections: rankingData.groupSelections || { chosen: 0, appearances: 0 }
-                    }}
-                  />
-                </motion.div>
-              )}
-            </AnimatePresence>
-          </motion.div>
+        {showMetadataControls && (
+          <div className="flex flex-wrap gap-3 justify-end">
+            <select
+              className="select select-sm select-bordered"
+              value={genreFilter}
+              onChange={(e) => setGenreFilter(e.target.value)}
+            >
+              <option value="all">All genres</option>
+              {availableGenres.map(genre => (
+                <option key={genre} value={genre}>{genre}</option>
+              ))}
+            </select>
+            <select
+              className="select select-sm select-bordered"
+              value={grouping}
+              onChange={(e) => setGrouping(e.target.value)}
+            >
+              {Object.entries(RESULT_GROUPINGS).map(([value, label]) => (
+                <option key={value} value={value}>{value === 'none' ? label : `Group by ${label.toLowerCase()}`}</option>
+              ))}
+            </select>
+          </div>
+        )}
+        {movieGroups.map(group => (
+          <div key={group.key ?? 'all'} className="space-y-4">
+            {group.key && (
+              <h3 className="text-lg font-semibold text-base-content/80 pt-4">
+                {group.key}
+                <span className="ml-2 text-sm font-normal text-base-content/50">{group.items.length}</span>
+              </h3>
+            )}
+            {group.items.map(({ rankingData, index }) =>
+              renderMovie(rankingData, index, `${group.key ?? 'all'}:${rankingData.movie.identifier}`)
+            )}
+          </div>
         ))}
+        {movieGroups.length === 0 && (
+          <div className="text-center text-base-content/60 py-8">No movies match this filter</div>
+        )}
       </div>
     </div>
   );
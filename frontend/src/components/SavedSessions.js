@@ -0,0 +1,93 @@
+import React, { useState, useEffect } from 'react';
+import { History, Play, Trash2 } from 'lucide-react';
+import { listSessions, deleteSession, describeSessionProgress } from '../utils/sessions';
+
+// Rankings saved on the backend, listed on the import screen so an unfinished
+// one can be picked up again after a refresh or a closed tab
+const SavedSessions = ({ onResume }) => {
+  const [sessions, setSessions] = useState([]);
+  const [busyId, setBusyId] = useState(null);
+  const [errorMessage, setErrorMessage] = useState('');
+
+  useEffect(() => {
+    listSessions()
+      .then(setSessions)
+      // Without a reachable backend there is simply nothing to resume
+      .catch(error => console.error('Error listing sessions:', error));
+  }, []);
+
+  const handleResume = async (id) => {
+    setBusyId(id);
+    setErrorMessage('');
+    try {
+      await onResume(id);
+    } catch (error) {
+      console.error('Error resuming session:', error);
+      setErrorMessage(error.message || 'The saved ranking could not be loaded');
+      setBusyId(null);
+    }
+  };
+
+  const handleDelete = async (id) => {
+    setBusyId(id);
+    setErrorMessage('');
+    try {
+      await deleteSession(id);
+      setSessions(prev => prev.filter(session => session.id !== id));
+    } catch (error) {
+      console.error('Error deleting session:', error);
+      setErrorMessage(error.message || 'The saved ranking could not be deleted');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  if (sessions.length === 0) return null;
+
+  return (
+    <div className="max-w-2xl w-full mx-auto mt-8 p-6 card bg-base-200 shadow-xl">
+      <h2 className="text-lg font-bold mb-4 flex items-center gap-2">
+        <History className="w-5 h-5 text-primary" />
+        Saved Rankings
+      </h2>
+
+      {errorMessage && (
+        <div className="text-sm text-error mb-3">{errorMessage}</div>
+      )}
+
+      <ul className="space-y-2">
+        {sessions.map(session => (
+          <li key={session.id} className="flex items-center gap-3 p-3 rounded-lg bg-base-300">
+            <div className="min-w-0 flex-grow">
+              <div className="font-medium truncate">{session.name || 'Untitled ranking'}</div>
+              <div className="text-xs text-base-content/60">
+                {session.movieCount} films · {describeSessionProgress(session)} · saved{' '}
+                {new Date(session.updatedAt).toLocaleString()}
+              </div>
+            </div>
+            <button
+              type="button"
+              onClick={() => handleResume(session.id)}
+              className="btn btn-sm btn-primary gap-1"
+              disabled={busyId !== null}
+            >
+              <Play className="w-3 h-3" />
+              Resume
+            </button>
+            <button
+              type="button"
+              onClick={() => handleDelete(session.id)}
+              className="btn btn-sm btn-ghost btn-square"
+              disabled={busyId !== null}
+              aria-label="Delete saved ranking"
+            >
+              <Trash2 className="w-4 h-4" />
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default SavedSessions;
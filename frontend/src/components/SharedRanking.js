@@ -0,0 +1,128 @@
+import React, { useState, useEffect } from 'react';
+import { AlertCircle, ArrowRight, Link2Off } from 'lucide-react';
+import { loadShare, canRevokeShare, revokeShare } from '../utils/shares';
+import { describeMovie } from '../utils/metadata';
+
+const ConfidenceMeter = ({ confidence }) => {
+  if (confidence == null) return null;
+  const percent = Math.round(confidence * 100);
+  return (
+    <div className="flex items-center gap-2 text-xs text-base-content/60 w-32 flex-shrink-0">
+      <progress className="progress progress-primary w-16" value={percent} max="100" />
+      <span>{percent}% sure</span>
+    </div>
+  );
+};
+
+// Read-only page for a ranking someone published with "Share", served at
+// /share/<id>. The browser that published it can revoke it from here too.
+const SharedRanking = ({ id }) => {
+  const [share, setShare] = useState(null);
+  const [errorMessage, setErrorMessage] = useState('');
+  const [revoke, setRevoke] = useState({ status: 'idle', message: '' });
+
+  useEffect(() => {
+    loadShare(id)
+      .then(setShare)
+      .catch(error => {
+        console.error('Error loading shared ranking:', error);
+        setErrorMessage(error.message || 'This shared ranking could not be loaded');
+      });
+  }, [id]);
+
+  const handleRevoke = async () => {
+    setRevoke({ status: 'revoking', message: '' });
+    try {
+      await revokeShare(id);
+      setShare(null);
+      setRevoke({ status: 'revoked', message: 'You revoked this shared ranking. The link no longer works.' });
+    } catch (error) {
+      console.error('Error revoking shared ranking:', error);
+      setRevoke({ status: 'error', message: error.message || 'The link could not be revoked' });
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-base-100 text-base-content font-sans">
+      <div className="container mx-auto px-4 py-8 max-w-3xl">
+        <a href="/" className="text-4xl font-crimson font-bold block text-center mb-10">RankBoxd</a>
+
+        {errorMessage && (
+          <div className="alert alert-error">
+            <AlertCircle className="w-5 h-5" />
+            <span>{errorMessage}</span>
+          </div>
+        )}
+
+        {revoke.message && (
+          <div className={`alert mb-6 ${revoke.status === 'error' ? 'alert-error' : ''}`}>
+            <span>{revoke.message}</span>
+          </div>
+        )}
+
+        {!share && !errorMessage && revoke.status !== 'revoked' && (
+          <div className="flex justify-center py-16">
+            <span className="loading loading-spinner loading-lg text-primary" />
+          </div>
+        )}
+
+        {share && (
+          <>
+            <div className="mb-8 space-y-1">
+              <h2 className="text-3xl font-bold">{share.name || 'A movie ranking'}</h2>
+              <p className="text-sm text-base-content/60">
+                {share.entries.length} films
+                {share.comparisons ? ` ranked over ${share.comparisons} comparisons` : ''}
+                {' · shared '}{new Date(share.createdAt).toLocaleDateString()}
+              </p>
+              {canRevokeShare(id) && (
+                <button
+                  onClick={handleRevoke}
+                  className="btn btn-sm btn-ghost gap-1 text-error -ml-3"
+                  disabled={revoke.status === 'revoking'}
+                >
+                  <Link2Off className="w-4 h-4" />
+                  Revoke this link
+                </button>
+              )}
+            </div>
+
+            <ol className="space-y-3">
+              {share.entries.map(entry => (
+                <li
+                  key={entry.movie.identifier || entry.rank}
+                  className="flex items-center gap-4 p-3 bg-base-200 rounded-lg border border-base-content/5"
+                >
+                  <span className="w-10 text-center font-bold text-xl text-primary flex-shrink-0">
+                    #{entry.rank}
+                  </span>
+                  <div className="w-12 h-16 flex-shrink-0 overflow-hidden rounded shadow-md">
+                    <img
+                      src={entry.movie.poster || '/api/placeholder/400/600'}
+                      alt={entry.movie.title}
+                      className="w-full h-full object-cover"
+                    />
+                  </div>
+                  <div className="min-w-0 flex-grow">
+                    <div className="font-crimson font-bold text-xl truncate">{entry.movie.title}</div>
+                    <div className="text-sm text-base-content/60 truncate">{describeMovie(entry.movie)}</div>
+                  </div>
+                  <ConfidenceMeter confidence={entry.confidence} />
+                </li>
+              ))}
+            </ol>
+          </>
+        )}
+
+        <div className="text-center mt-10">
+          <a href="/" className="btn btn-primary gap-2">
+            Rank your own list
+            <ArrowRight className="w-4 h-4" />
+          </a>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SharedRanking;
@@ -31,7 +31,7 @@ const StatusBar = ({
   stabilityScore,
   estimatedMinutesLeft,
   learningRate,
-  globalOptimizationStats
+  fitStats
 }) => {
   const progress = comparisons / maxComparisons;
   const phase = useMemo(() => getPhaseInfo(progress), [progress]);
@@ -93,14 +93,14 @@ const StatusBar = ({
                     </div>
                   )}
                   
-                  {globalOptimizationStats && globalOptimizationStats.totalCorrections > 0 && (
+                  {fitStats && fitStats.fits > 0 && (
                     <div>
-                      <div className="text-xs text-base-content/70">Global Optimizations</div>
+                      <div className="text-xs text-base-content/70">Model Refits</div>
                       <div className="font-medium">
-                        {globalOptimizationStats.totalCorrections} corrections
+                        {fitStats.fits} refits
                       </div>
                       <div className="text-xs text-base-content/70">
-                        Last: {comparisons - globalOptimizationStats.lastOptimizationComparison} comp. ago
+                        Last: {comparisons - fitStats.lastFitComparison} comp. ago
                       </div>
                     </div>
                   )}
@@ -0,0 +1,122 @@
+import React, { useState } from 'react';
+import { ArrowRight, ImageOff } from 'lucide-react';
+
+function TitleListImport({ onSubmit, disabled }) {
+  const [text, setText] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [errorMessage, setErrorMessage] = useState('');
+  // Set when the server can't look up posters, to offer importing without them
+  const [postersUnavailable, setPostersUnavailable] = useState(false);
+
+  const lineCount = text.split(/\r?\n/).filter(line => line.trim()).length;
+
+  const handleFileChange = async (e) => {
+    const listFile = e.target.files[0];
+    if (!listFile) return;
+    setErrorMessage('');
+    setText(await listFile.text());
+  };
+
+  const handleImport = async ({ skipPosters = false } = {}) => {
+    setLoading(true);
+    setErrorMessage('');
+    setPostersUnavailable(false);
+    try {
+      const apiUrl = import.meta.env.VITE_API_URL || 'http://localhost:3001';
+      const response = await fetch(`${apiUrl}/import/titles${skipPosters ? '?posters=skip' : ''}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ text })
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        setPostersUnavailable(data.code === 'ENRICHMENT_UNAVAILABLE');
+        throw new Error(data.message || 'Failed to import movies');
+      }
+
+      const { data: { movies, enrichmentErrors } } = data;
+
+      if (!movies?.length) {
+        throw new Error('No titles found in the provided list');
+      }
+      if (movies.length < 2) {
+        throw new Error('Please enter at least 2 movies');
+      }
+      onSubmit(movies, { enrichmentErrors });
+    } catch (error) {
+      console.error("Error importing title list:", error);
+      setErrorMessage(error.message || "Failed to import movies. Please check the list and try again.");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="form-control w-full">
+        <label className="label">
+          <span className="label-text">Titles, one per line</span>
+          {lineCount > 0 && (
+            <span className="label-text-alt text-base-content/60">{lineCount} lines</span>
+          )}
+        </label>
+        <textarea
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          placeholder={'Past Lives (2023)\nAnatomy of a Fall (2023)\nThe Zone of Interest (2023)'}
+          className="textarea textarea-bordered w-full h-40 font-mono text-sm"
+          disabled={disabled || loading}
+          spellCheck="false"
+        />
+        <label className="label">
+          <span className="label-text-alt text-base-content/60">
+            Use "Title (Year)" for best poster matches. A CSV with Title and Year columns works too.
+          </span>
+        </label>
+      </div>
+
+      <input
+        type="file"
+        accept=".csv,.txt,text/csv,text/plain"
+        onChange={handleFileChange}
+        className="file-input file-input-bordered file-input-sm w-full"
+        disabled={disabled || loading}
+      />
+
+      {errorMessage && (
+        <div className="text-sm text-error">{errorMessage}</div>
+      )}
+      {postersUnavailable && !loading && (
+        <button type="button" onClick={() => handleImport({ skipPosters: true })} className="btn btn-xs btn-ghost gap-1 -ml-2">
+          <ImageOff className="w-3 h-3" />
+          Continue Without Posters
+        </button>
+      )}
+
+      <div className="text-center">
+        <button
+          type="button"
+          onClick={() => handleImport()}
+          disabled={disabled || loading || lineCount < 2}
+          className={`btn btn-wide gap-2 hover:brightness-110 transition-all
+            ${lineCount >= 2 ? 'btn-primary' : 'btn-disabled'}`}
+        >
+          {loading ? (
+            <>
+              <span className="loading loading-spinner loading-sm"></span>
+              Finding Movies...
+            </>
+          ) : (
+            <>
+              Start Ranking
+              <ArrowRight className={`w-4 h-4 ${lineCount >= 2 ? 'text-primary-content' : 'text-accent'}`} />
+            </>
+          )}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default TitleListImport;
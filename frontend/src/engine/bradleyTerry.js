@@ -0,0 +1,70 @@
+import { BRADLEY_TERRY } from './constants';
+
+// Films without a seeded opinion start from an even, weak prior
+const priorOf = (record) => record.prior || { mean: 0, spread: BRADLEY_TERRY.PRIOR_SPREAD };
+
+// Fits a Bradley-Terry model to every pick in `history`: each film gets a
+// log-strength such that it is picked from a group with probability
+// exp(own) / (sum of exp(strength) over the group). For a pair that is
+// 1 / (1 + exp(other - own)); for a bigger group it is the top-1 Plackett-Luce
+// probability, so a pick out of five counts as one observation rather than as
+// four independent wins. Each strength is pulled towards its film's prior,
+// which keeps films that won or lost every pick finite. The fit takes a Newton
+// step on one film at a time, starting from the current ratings, until no
+// strength moves by more than TOLERANCE.
+export const fitBradleyTerry = (rankings, history) => {
+  const ids = Object.keys(rankings);
+  const wins = Object.fromEntries(ids.map(id => [id, 0]));
+  const picksOf = Object.fromEntries(ids.map(id => [id, []])); // the groups each film was shown in
+
+  // Films a sync has since removed are left out of the groups they were in
+  for (const { winner, losers } of history) {
+    if (!picksOf[winner]) continue;
+    const others = losers.filter(id => picksOf[id] && id !== winner);
+    if (others.length === 0) continue;
+    const group = [winner, ...others];
+    group.forEach(id => picksOf[id].push(group));
+    wins[winner] += 1;
+  }
+
+  const strengths = Object.fromEntries(ids.map(id => [id, rankings[id].rating]));
+
+  // Slope and curvature of the log-posterior along one film's strength
+  const derivatives = (id) => {
+    const { mean, spread } = priorOf(rankings[id]);
+    let gradient = wins[id] - (strengths[id] - mean) / spread ** 2;
+    let curvature = 1 / spread ** 2;
+    for (const group of picksOf[id]) {
+      const pickProbability = 1 / group.reduce((sum, member) => sum + Math.exp(strengths[member] - strengths[id]), 0);
+      gradient -= pickProbability;
+      curvature += pickProbability * (1 - pickProbability);
+    }
+    return { gradient, curvature };
+  };
+
+  let iterations = 0;
+  let largestStep = Infinity;
+  while (largestStep > BRADLEY_TERRY.TOLERANCE && iterations < BRADLEY_TERRY.MAX_ITERATIONS) {
+    largestStep = 0;
+    for (const id of ids) {
+      const { gradient, curvature } = derivatives(id);
+      const step = Math.max(-BRADLEY_TERRY.MAX_STEP, Math.min(gradient / curvature, BRADLEY_TERRY.MAX_STEP));
+      strengths[id] += step;
+      largestStep = Math.max(largestStep, Math.abs(step));
+    }
+    iterations++;
+  }
+
+  // Standard errors from the curvature at the fitted strengths, treating the
+  // other films' strengths as known
+  const standardErrors = Object.fromEntries(
+    ids.map(id => [id, 1 / Math.sqrt(derivatives(id).curvature)])
+  );
+
+  return { strengths, standardErrors, iterations };
+};
+
+// A refit runs every REFIT_INTERVAL comparisons once there are enough
+export const isRefitDue = (state) =>
+  state.comparisons >= BRADLEY_TERRY.MIN_COMPARISONS_REQUIRED &&
+  state.comparisons - state.fitStats.lastFitComparison >= BRADLEY_TERRY.REFIT_INTERVAL;
@@ -0,0 +1,231 @@
+import { BRADLEY_TERRY, CONFIDENCE_SCALING, CONFIDENCE_CONSTANTS } from './constants';
+
+export const calculateAdaptiveThresholds = (movieCount, progress) => {
+  // Calculate base scaling factor based on dataset size
+  const sizeFactor = Math.min(Math.max(
+    (movieCount - CONFIDENCE_SCALING.MIN_DATASET) / 
+    (CONFIDENCE_SCALING.MAX_DATASET - CONFIDENCE_SCALING.MIN_DATASET),
+    0
+  ), 1);
+  
+  // Adjust base threshold based on dataset size
+  // Smaller datasets need higher confidence thresholds
+  const baseThreshold = CONFIDENCE_SCALING.BASE_THRESHOLD * (1 - sizeFactor * 0.3);
+  
+  // Calculate progress-based thresholds
+  const progressMultiplier = progress < 0.3 ? 
+    CONFIDENCE_SCALING.EARLY_STAGE_MULTIPLIER :
+    progress > 0.7 ? 
+      CONFIDENCE_SCALING.LATE_STAGE_MULTIPLIER : 
+      1;
+  
+  // Calculate final threshold with bounds
+  const adaptiveThreshold = Math.min(
+    Math.max(
+      baseThreshold * progressMultiplier,
+      CONFIDENCE_SCALING.MIN_ALLOWED_THRESHOLD
+    ),
+    CONFIDENCE_SCALING.MAX_ALLOWED_THRESHOLD
+  );
+
+  return {
+    confidence: adaptiveThreshold,
+    stability: adaptiveThreshold * 0.8,
+    transitivity: adaptiveThreshold * 0.9,
+    rankChange: Math.max(0.02, 0.05 * (1 - sizeFactor))
+  };
+};
+
+const calculateLocalTransitivity = (movieId, rankings, sortedMovies, position) => {
+  const localRange = CONFIDENCE_CONSTANTS.LOCAL_RANGE;
+  const start = Math.max(0, position - localRange);
+  const end = Math.min(sortedMovies.length, position + localRange + 1);
+  const localMovies = sortedMovies.slice(start, end);
+  
+  let weightedTransitivity = 0;
+  let totalWeight = 0;
+  
+  for (let i = 0; i < localMovies.length - 2; i++) {
+    for (let j = i + 1; j < localMovies.length - 1; j++) {
+      for (let k = j + 1; k < localMovies.length; k++) {
+        const [a, b, c] = [localMovies[i], localMovies[j], localMovies[k]]
+          .map(m => m.movie.identifier);
+          
+        // Calculate positional weight (closer positions matter more)
+        const posWeight = 1 / (Math.abs(position - i) + 1);
+        
+        // Calculate rating difference weight
+        const ratingDiffs = Math.abs(rankings[a].rating - rankings[b].rating) +
+                          Math.abs(rankings[b].rating - rankings[c].rating) +
+                          Math.abs(rankings[a].rating - rankings[c].rating);
+        const ratingWeight = 1 / (1 + ratingDiffs);
+        
+        const weight = posWeight * ratingWeight;
+        
+        if (rankings[a].recentResults.some(r => r.opponent === b || r.opponent === c) &&
+            rankings[b].recentResults.some(r => r.opponent === c)) {
+          totalWeight += weight;
+          if ((rankings[a].rating > rankings[b].rating && 
+               rankings[b].rating > rankings[c].rating && 
+               rankings[a].rating > rankings[c].rating) ||
+              (rankings[c].rating > rankings[b].rating && 
+               rankings[b].rating > rankings[a].rating && 
+               rankings[c].rating > rankings[a].rating)) {
+            weightedTransitivity += weight;
+          }
+        }
+      }
+    }
+  }
+  
+  return totalWeight > 0 ? weightedTransitivity / totalWeight : 0.5;
+};
+
+const calculateEnhancedConfidence = (movieId, rankings) => {
+  const record = rankings[movieId];
+  if (!record || record.comparisons < CONFIDENCE_CONSTANTS.MIN_COMPARISONS) {
+    return 0.2; // Minimum baseline confidence of 20%
+  }
+
+  // 1. Base Comparison Confidence (0-1)
+  const comparisonScore = Math.min(
+    record.comparisons / CONFIDENCE_CONSTANTS.OPTIMAL_COMPARISONS,
+    1
+  ) * 0.8 + 0.2; // Minimum 20% if at least MIN_COMPARISONS
+
+  // 2. Fit Confidence (based on the strength's standard error)
+  // The share of the prior's spread that the comparisons have ruled out.
+  // Sessions saved before the refit existed have neither until the first one.
+  const { standardError = BRADLEY_TERRY.PRIOR_SPREAD, prior = { spread: BRADLEY_TERRY.PRIOR_SPREAD } } = record;
+  const fitConfidence = 1 - Math.min(standardError / prior.spread, 1);
+
+  // 3. Position-Aware Consistency (0-1)
+  const sortedMovies = Object.values(rankings).sort((a, b) => b.rating - a.rating);
+  const position = sortedMovies.findIndex(r => r.movie.identifier === movieId);
+  const relativePosition = position / sortedMovies.length;
+
+  let expectedWinRate, positionWeight;
+    if (relativePosition <= 0.25) {
+      expectedWinRate = 0.75; // Top 25% should win most
+      positionWeight = CONFIDENCE_CONSTANTS.POSITION_WEIGHTS.TOP;
+    } else if (relativePosition >= 0.75) {
+      expectedWinRate = 0.25; // Bottom 25% should lose most
+      positionWeight = CONFIDENCE_CONSTANTS.POSITION_WEIGHTS.BOTTOM;
+    } else {
+      expectedWinRate = 0.5; // Middle 50% can be mixed
+      positionWeight = CONFIDENCE_CONSTANTS.POSITION_WEIGHTS.MIDDLE;
+    }
+
+  const actualWinRate = record.wins / record.comparisons;
+  const consistencyScore = (1 - Math.abs(actualWinRate - expectedWinRate)) * positionWeight;
+
+  // 4. Local Performance (0-1)
+  const neighbors = sortedMovies
+    .slice(
+      Math.max(0, position - CONFIDENCE_CONSTANTS.LOCAL_RANGE),
+      Math.min(sortedMovies.length, position + CONFIDENCE_CONSTANTS.LOCAL_RANGE + 1)
+    )
+    .map(r => r.movie.identifier)
+    .filter(id => id !== movieId);
+
+  const localComparisons = record.recentResults.filter(r => 
+    neighbors.includes(r.opponent)
+  );
+  
+  const localConsistencyScore = localComparisons.length > 0
+    ? localComparisons.reduce((sum, r) => 
+        sum + (r.result === (r.opponent.rating < record.rating ? 1 : 0)), 
+        0
+      ) / localComparisons.length
+    : 0.5;
+
+  // 5. Group Selection Confidence
+  // Chosen/appearances ratio is a good indicator of confidence
+  const groupConfidence = record.groupSelections.appearances > 0 
+    ? (record.groupSelections.chosen / record.groupSelections.appearances) 
+    : 0.5;
+
+  // 6. Temporal Confidence (0-1)
+  const recentResults = record.recentResults.slice(-5);
+  const historicalResults = record.recentResults.slice(0, -5);
+  
+  const calculateResultsConsistency = results => {
+    if (results.length < 2) return 0.5;
+    let flips = 0;
+    for (let i = 1; i < results.length; i++) {
+      if (results[i].result !== results[i-1].result) flips++;
+    }
+    return 1 - (flips / (results.length - 1));
+  };
+
+  const recentConsistency = calculateResultsConsistency(recentResults);
+  const historicalConsistency = calculateResultsConsistency(historicalResults);
+  
+  const temporalConsistency = 
+    (recentConsistency * CONFIDENCE_CONSTANTS.RECENT_WEIGHT) +
+    (historicalConsistency * CONFIDENCE_CONSTANTS.HISTORICAL_WEIGHT);
+
+  // 7. Transitivity Score (0-1)
+  const transitivityScore = calculateLocalTransitivity(
+    movieId, 
+    rankings, 
+    sortedMovies, 
+    position
+  );
+
+  // Combine all factors with weights
+  const finalConfidence = (
+    comparisonScore * 0.15 +
+    fitConfidence * 0.20 +
+    consistencyScore * 0.15 +
+    localConsistencyScore * 0.15 +
+    groupConfidence * 0.10 +
+    temporalConsistency * 0.15 +
+    transitivityScore * 0.10
+  );
+
+  // Ensure minimum confidence of 20% and maximum of 100%
+  return Math.min(Math.max(finalConfidence, 0.2), 1);
+};
+
+export const calculateComparisonImpact = (movieA, movieB, rankings, progress) => {
+  if (progress < 0.2) return false;
+
+  // Essential safety checks
+  if (!movieA || !movieB || !movieA.identifier || !movieB.identifier) return false;
+  
+  if (!rankings[movieA.identifier] || !rankings[movieB.identifier]) return false;
+
+  const recordA = rankings[movieA.identifier];
+  const recordB = rankings[movieB.identifier];
+  
+  // Calculate rating uncertainty
+  const ratingDiff = Math.abs(recordA.rating - recordB.rating);
+  const avgComparisons = (recordA.comparisons + recordB.comparisons) / 2;
+  const uncertaintyScore = 1 / (avgComparisons + 1);
+  
+  // More impactful if:
+  // 1. Movies are close in rating
+  // 2. We don't have many comparisons yet
+  // 3. We're in the middle phase of ranking (20%-80%)
+  const ratingProximity = 1 / (1 + Math.exp(5 * (ratingDiff - 0.5)));
+  const phaseImportance = 1 - Math.abs(progress - 0.5) * 2;
+  
+  const impactScore = (
+    ratingProximity * 0.5 +
+    uncertaintyScore * 0.3 +
+    phaseImportance * 0.2
+  );
+
+  // Return true if this is a high-impact comparison
+  return impactScore > 0.7;
+};
+
+// How sure the engine is of a film's position, from 0.2 to 1
+export const confidence = (state, movieId) => calculateEnhancedConfidence(movieId, state.rankings);
+
+export const averageConfidence = (state) => {
+  const records = Object.values(state.rankings);
+  if (records.length === 0) return 0;
+  return records.reduce((sum, record) => sum + confidence(state, record.movie.identifier), 0) / records.length;
+};
@@ -0,0 +1,75 @@
+// Tuning tables for the ranking engine
+
+export const CONFIDENCE_SCALING = {
+  BASE_THRESHOLD: 0.7,
+  MIN_DATASET: 10,
+  MAX_DATASET: 500,
+  EARLY_STAGE_MULTIPLIER: 0.8,
+  LATE_STAGE_MULTIPLIER: 1.2,
+  MIN_ALLOWED_THRESHOLD: 0.5,
+  MAX_ALLOWED_THRESHOLD: 0.9
+};
+
+export const CONFIDENCE_CONSTANTS = {
+  MIN_COMPARISONS: 3,
+  OPTIMAL_COMPARISONS: 5,
+  LOCAL_RANGE: 3,
+  RECENT_WEIGHT: 0.6,
+  HISTORICAL_WEIGHT: 0.4,
+  POSITION_WEIGHTS: {
+    TOP: 0.8,    // Expect more consistent wins
+    MIDDLE: 0.5, // Mixed results are okay
+    BOTTOM: 0.8  // Expect more consistent losses
+  },
+  TRANSITIVITY_WEIGHT: 0.3,
+  COMPARISON_QUALITY_WEIGHT: 0.2
+};
+
+export const VOLATILITY_WINDOW = 20; // How many recent changes to consider
+export const VOLATILITY_THRESHOLD_HIGH = 0.05; // High volatility threshold
+export const VOLATILITY_THRESHOLD_LOW = 0.01; // Low volatility threshold
+
+export const MOMENTUM_FACTOR = 0.9;
+export const MIN_LEARNING_RATE = 0.01;
+export const MAX_LEARNING_RATE = 0.2;
+
+// Bradley-Terry refit over the whole comparison log
+export const BRADLEY_TERRY = {
+  REFIT_INTERVAL: 10,            // Comparisons between refits
+  MIN_COMPARISONS_REQUIRED: 5,   // Comparisons before the first refit
+  PRIOR_SPREAD: 2,               // Prior standard deviation of a strength with no seeded opinion
+  MAX_ITERATIONS: 100,           // Sweeps over every film before giving up on convergence
+  MAX_STEP: 1,                   // Largest change to one strength in a single Newton step
+  TOLERANCE: 1e-6                // Largest strength change that still counts as converged
+};
+
+// Learning rate adaptation parameters
+export const LEARNING_RATE_PARAMS = {
+  ADAPTATION_WINDOW: 15,         // Window size for adaptation calculation
+  BASE_RATE: 0.1,                // Starting learning rate
+  ADAPTIVE_FACTOR: 0.75,         // How much to rely on adaptation vs base rate
+  CONSISTENCY_SCALING: 1.5,      // Scaling for consistent results
+  INCONSISTENCY_SCALING: 0.6,    // Scaling for inconsistent results
+  PROGRESS_DECAY: 0.5,           // Rate at which learning rate naturally decays with progress
+  SURPRISE_BOOST: 1.5,           // Increase for surprising results
+  EXPECTED_RESULT_DAMPING: 0.7,  // Decrease for expected results
+  EARLY_PHASE_BOOST: 1.2,        // Higher learning rate in early phases
+  LATE_PHASE_DAMPING: 0.8        // Lower learning rate in later phases
+};
+
+export const EARLY_TERMINATION = {
+  MIN_PROGRESS: 0.4, // Don't terminate before 40% completion
+  MIN_COMPARISONS_PER_MOVIE: 5,
+  MIN_CONFIDENCE_THRESHOLD: 0.7,
+  STABILITY_WINDOW: 15,
+  STABILITY_THRESHOLD: 0.03,
+  MIN_TRANSITIVITY_SCORE: 0.85,
+  RELATIVE_RANK_STABILITY: 0.9
+};
+
+// Recent rating changes are kept for the longest window that reads them
+export const RECENT_CHANGES_WINDOW = Math.max(
+  VOLATILITY_WINDOW,
+  LEARNING_RATE_PARAMS.ADAPTATION_WINDOW,
+  EARLY_TERMINATION.STABILITY_WINDOW
+);
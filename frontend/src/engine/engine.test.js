@@ -0,0 +1,332 @@
+import { describe, it, expect } from 'vitest';
+import {
+  createEngineState,
+  createRankingRecord,
+  calculateListOrderPriors,
+  applyComparison,
+  flushPending,
+  undoComparison,
+  refit,
+  fitBradleyTerry,
+  confidence,
+  shouldStop,
+  rankStability,
+  selectGroup
+} from './index';
+
+const makeMovies = (count) =>
+  Array.from({ length: count }, (_, index) => ({ identifier: `film-${index}`, title: `Film ${index}` }));
+
+// A fixed seed keeps the group picks and sampled stopping checks repeatable
+const makeState = (movies, options = {}) => createEngineState({
+  rankings: Object.fromEntries(movies.map(movie => [movie.identifier, createRankingRecord(movie)])),
+  seed: 1,
+  ...options
+});
+
+const pick = (state, winner, group) =>
+  applyComparison(state, { winner: winner.identifier, group });
+
+const compare = (state, winner, loser) => pick(state, winner, [winner, loser]);
+
+// Every pair once per round, the lower index always winning
+const runConsistentRounds = (state, movies, rounds) => {
+  let next = state;
+  for (let round = 0; round < rounds; round++) {
+    for (let i = 0; i < movies.length; i++) {
+      for (let j = i + 1; j < movies.length; j++) {
+        next = compare(next, movies[i], movies[j]);
+      }
+    }
+  }
+  return next;
+};
+
+const orderOf = (state) =>
+  Object.values(state.rankings)
+    .sort((a, b) => b.rating - a.rating)
+    .map(record => record.movie.identifier);
+
+describe('calculateListOrderPriors', () => {
+  it('spreads ratings evenly from the first film to the last', () => {
+    const movies = makeMovies(3).map((movie, index) => ({ ...movie, listPosition: 3 - index }));
+    const priors = calculateListOrderPriors(movies);
+    expect(priors['film-2'].rating).toBe(2);
+    expect(priors['film-1'].rating).toBe(0);
+    expect(priors['film-0'].rating).toBe(-2);
+  });
+
+  it('ignores lists with fewer than two positioned films', () => {
+    expect(calculateListOrderPriors(makeMovies(3))).toEqual({});
+  });
+});
+
+describe('applyComparison', () => {
+  const movies = makeMovies(4);
+
+  it('records the comparison without touching the state it was given', () => {
+    const state = makeState(movies, { maxComparisons: 20 });
+    const next = compare(state, movies[0], movies[1]);
+
+    expect(next.comparisons).toBe(1);
+    expect(next.history).toHaveLength(1);
+    expect(next.history[0]).toMatchObject({ winner: 'film-0', losers: ['film-1'] });
+    expect(next.history[0].rankings).toEqual(state.rankings);
+    expect(state.comparisons).toBe(0);
+    expect(state.history).toHaveLength(0);
+  });
+
+  it('holds comparisons back until a batch is full', () => {
+    const next = compare(makeState(movies, { maxComparisons: 20 }), movies[0], movies[1]);
+    expect(next.pendingUpdates).toEqual([{ winner: 'film-0', losers: ['film-1'] }]);
+    expect(next.rankings['film-0'].rating).toBe(0);
+
+    const flushed = flushPending(next);
+    expect(flushed.pendingUpdates).toEqual([]);
+    expect(flushed.rankings['film-0'].rating).toBeGreaterThan(flushed.rankings['film-1'].rating);
+    expect(flushed.rankings['film-0'].wins).toBe(1);
+    expect(flushed.rankings['film-1'].losses).toBe(1);
+  });
+
+  it('logs a pick from a group as one event counting a comparison per film passed over', () => {
+    const next = pick(makeState(movies, { maxComparisons: 20 }), movies[0], movies.slice(0, 3));
+    expect(next.history).toHaveLength(1);
+    expect(next.history[0]).toMatchObject({ winner: 'film-0', losers: ['film-1', 'film-2'] });
+    expect(next.pendingUpdates).toEqual([{ winner: 'film-0', losers: ['film-1', 'film-2'] }]);
+    expect(next.comparisons).toBe(2);
+
+    const flushed = flushPending(next);
+    expect(flushed.rankings['film-0'].wins).toBe(2);
+    expect(flushed.rankings['film-1'].losses).toBe(1);
+    expect(flushed.rankings['film-0'].rating).toBeGreaterThan(0);
+    expect(flushed.rankings['film-1'].rating).toBeLessThan(0);
+    expect(flushed.rankings['film-3'].rating).toBe(0);
+  });
+
+  it('counts group appearances and picks', () => {
+    const next = pick(makeState(movies, { maxComparisons: 20 }), movies[0], movies.slice(0, 3));
+    expect(next.rankings['film-0'].groupSelections).toEqual({ chosen: 1, appearances: 1 });
+    expect(next.rankings['film-2'].groupSelections).toEqual({ chosen: 0, appearances: 1 });
+    expect(next.rankings['film-3'].groupSelections).toEqual({ chosen: 0, appearances: 0 });
+  });
+
+  it('ignores films it does not know', () => {
+    const state = makeState(movies, { maxComparisons: 20 });
+    expect(applyComparison(state, { winner: 'film-0', group: [movies[0], { identifier: 'missing' }] })).toBe(state);
+    expect(applyComparison(state, { winner: 'missing', group: movies })).toBe(state);
+  });
+
+  it('recovers a consistent order', () => {
+    const state = flushPending(runConsistentRounds(makeState(movies, { maxComparisons: 40 }), movies, 6));
+    expect(orderOf(state)).toEqual(movies.map(movie => movie.identifier));
+  });
+});
+
+describe('undoComparison', () => {
+  const movies = makeMovies(3);
+
+  it('restores the ratings and films from before the last comparison', () => {
+    const state = flushPending(compare(makeState(movies, { maxComparisons: 10 }), movies[0], movies[1]));
+    const next = compare(state, movies[2], movies[0]);
+    const undone = undoComparison(next);
+
+    expect(undone.pair).toEqual([movies[2], movies[0]]);
+    expect(undone.state.rankings).toEqual(state.rankings);
+    expect(undone.state.history).toHaveLength(1);
+    expect(undone.state.comparisons).toBe(1);
+  });
+
+  it('undoes a pick from a group in one step', () => {
+    const state = makeState(movies, { maxComparisons: 10 });
+    const undone = undoComparison(pick(state, movies[1], movies));
+    expect(undone.pair).toEqual(movies);
+    expect(undone.state.comparisons).toBe(0);
+    expect(undone.state.history).toEqual([]);
+  });
+
+  it('stops at the floor and at comparisons without a snapshot', () => {
+    const state = compare(makeState(movies, { maxComparisons: 10 }), movies[0], movies[1]);
+    expect(undoComparison(state, 1)).toBeNull();
+    expect(undoComparison({ ...state, history: [{ ...state.history[0], rankings: null }] })).toBeNull();
+    expect(undoComparison(makeState(movies))).toBeNull();
+  });
+});
+
+describe('refit', () => {
+  it('moves ratings back in line with the comparisons they contradict', () => {
+    const movies = makeMovies(2);
+    const state = compare(makeState(movies, { maxComparisons: 10 }), movies[0], movies[1]);
+    const contradicted = {
+      ...state,
+      rankings: {
+        ...state.rankings,
+        'film-0': { ...state.rankings['film-0'], rating: -1 },
+        'film-1': { ...state.rankings['film-1'], rating: 1 }
+      }
+    };
+
+    const fitted = refit(contradicted);
+    expect(fitted.rankings['film-0'].rating).toBeGreaterThan(fitted.rankings['film-1'].rating);
+    expect(fitted.rankings['film-0'].strength).toBe(fitted.rankings['film-0'].rating);
+    expect(fitted.pendingUpdates).toEqual([]);
+    expect(fitted.fitStats).toMatchObject({ lastFitComparison: 1, fits: 1 });
+    expect(contradicted.rankings['film-0'].rating).toBe(-1);
+  });
+
+  it('fits the same strengths whatever order the comparisons came in', () => {
+    const movies = makeMovies(4);
+    const results = [[0, 1], [1, 2], [2, 3], [0, 2], [3, 1], [0, 3], [1, 0]];
+    const run = (order) => refit(order.reduce(
+      (state, [winner, loser]) => compare(state, movies[winner], movies[loser]),
+      makeState(movies, { maxComparisons: 100 })
+    ));
+
+    const forwards = run(results);
+    const backwards = run([...results].reverse());
+    movies.forEach(({ identifier }) => {
+      expect(backwards.rankings[identifier].strength).toBeCloseTo(forwards.rankings[identifier].strength, 4);
+    });
+    expect(orderOf(forwards)).toEqual(['film-0', 'film-1', 'film-2', 'film-3']);
+  });
+});
+
+describe('fitBradleyTerry', () => {
+  const movies = makeMovies(3);
+  const rankings = makeState(movies).rankings;
+
+  it('keeps an unbeaten film finite and narrows the films compared most', () => {
+    const history = [
+      { winner: 'film-0', losers: ['film-1'] },
+      { winner: 'film-0', losers: ['film-1'] },
+      { winner: 'film-0', losers: ['film-2'] },
+      { winner: 'film-1', losers: ['film-2'] },
+      { winner: 'film-1', losers: ['film-2'] }
+    ];
+    const { strengths, standardErrors } = fitBradleyTerry(rankings, history);
+
+    expect(Number.isFinite(strengths['film-0'])).toBe(true);
+    expect(strengths['film-0']).toBeGreaterThan(strengths['film-1']);
+    expect(strengths['film-1']).toBeGreaterThan(strengths['film-2']);
+    expect(standardErrors['film-1']).toBeLessThan(standardErrors['film-0']);
+    expect(standardErrors['film-0']).toBeLessThan(rankings['film-0'].prior.spread);
+  });
+
+  it('leaves the priors alone without comparisons and skips unknown films', () => {
+    const { strengths, standardErrors } = fitBradleyTerry(rankings, [{ winner: 'film-0', losers: ['gone'] }]);
+    expect(strengths).toEqual({ 'film-0': 0, 'film-1': 0, 'film-2': 0 });
+    expect(standardErrors['film-0']).toBeCloseTo(rankings['film-0'].prior.spread);
+  });
+
+  it('counts a pick from a group as less evidence than a win over each film', () => {
+    const fromGroup = fitBradleyTerry(rankings, [{ winner: 'film-0', losers: ['film-1', 'film-2'] }]);
+    const asPairs = fitBradleyTerry(rankings, [
+      { winner: 'film-0', losers: ['film-1'] },
+      { winner: 'film-0', losers: ['film-2'] }
+    ]);
+
+    expect(fromGroup.strengths['film-0']).toBeGreaterThan(fromGroup.strengths['film-1']);
+    expect(fromGroup.strengths['film-1']).toBeCloseTo(fromGroup.strengths['film-2']);
+    expect(fromGroup.strengths['film-0']).toBeLessThan(asPairs.strengths['film-0']);
+  });
+});
+
+describe('confidence', () => {
+  it('stays at the baseline until a film has a few comparisons', () => {
+    const movies = makeMovies(4);
+    expect(confidence(makeState(movies), 'film-0')).toBe(0.2);
+
+    const state = flushPending(runConsistentRounds(makeState(movies, { maxComparisons: 40 }), movies, 6));
+    expect(confidence(state, 'film-0')).toBeGreaterThan(0.2);
+    expect(confidence(state, 'film-0')).toBeLessThanOrEqual(1);
+  });
+});
+
+describe('shouldStop', () => {
+  const movies = makeMovies(8);
+
+  it('never stops before the minimum progress', () => {
+    const state = runConsistentRounds(makeState(movies, { maxComparisons: 1000 }), movies, 3);
+    expect(shouldStop(state)).toBe(false);
+  });
+
+  it('stops once a consistent ranking has settled', () => {
+    let state = makeState(movies, { maxComparisons: 120 });
+    let stoppedAt = null;
+    for (let round = 0; round < 4 && stoppedAt === null; round++) {
+      for (let i = 0; i < movies.length && stoppedAt === null; i++) {
+        for (let j = i + 1; j < movies.length && stoppedAt === null; j++) {
+          state = compare(state, movies[i], movies[j]);
+          if (shouldStop(state)) stoppedAt = state.comparisons;
+        }
+      }
+    }
+
+    expect(stoppedAt).not.toBeNull();
+    expect(stoppedAt).toBeLessThan(120);
+    expect(rankStability(state)).toBeGreaterThanOrEqual(0.9);
+    expect(orderOf(state)).toEqual(movies.map(movie => movie.identifier));
+  });
+});
+
+describe('seeded randomness', () => {
+  const movies = makeMovies(12);
+
+  // Shows films until the budget runs out, always picking the lowest index
+  const replay = (seed) => {
+    let state = makeState(movies, { maxComparisons: 40, seed });
+    const shown = [];
+    while (state.comparisons < state.maxComparisons) {
+      const selected = selectGroup(state);
+      const group = selected.group;
+      shown.push(group.map(movie => movie.identifier));
+      const winner = [...group].sort((a, b) => a.identifier.localeCompare(b.identifier, 'en', { numeric: true }))[0];
+      state = pick(selected.state, winner, group);
+    }
+    return { shown, state: flushPending(state) };
+  };
+
+  it('shows the same films and ends with the same ratings for the same seed', () => {
+    const first = replay(42);
+    const second = replay(42);
+    expect(second.shown).toEqual(first.shown);
+    expect(second.state.rankings).toEqual(first.state.rankings);
+    expect(second.state.rngState).toBe(first.state.rngState);
+  });
+
+  it('starts from a different shuffle for a different seed', () => {
+    expect(replay(1).shown[0]).not.toEqual(replay(2).shown[0]);
+  });
+
+  it('picks up where it left off from a stored generator state', () => {
+    const state = makeState(movies, { maxComparisons: 40, seed: 7 });
+    const { state: afterFirst } = selectGroup(state);
+    const resumed = createEngineState({
+      rankings: afterFirst.rankings,
+      maxComparisons: 40,
+      seed: afterFirst.seed,
+      rngState: afterFirst.rngState,
+      selection: afterFirst.selection
+    });
+    expect(selectGroup(resumed).group).toEqual(selectGroup(afterFirst).group);
+  });
+});
+
+describe('selectGroup', () => {
+  it('shows every film before showing any again', () => {
+    const movies = makeMovies(10);
+    const state = makeState(movies, { maxComparisons: 100, seed: 3 });
+    const first = selectGroup(state);
+    const second = selectGroup(first.state);
+    const ids = [...first.group, ...second.group].map(movie => movie.identifier);
+    expect(first.group).toHaveLength(5);
+    expect(new Set(ids).size).toBe(10);
+  });
+
+  it('moves to pairs late in the ranking and remembers when each was shown', () => {
+    const movies = makeMovies(6);
+    const state = makeState(movies, { maxComparisons: 10, comparisons: 9, seed: 5 });
+    const { group, state: next } = selectGroup(state);
+    expect(group).toHaveLength(2);
+    expect(Object.values(next.selection.pairs)).toEqual([9]);
+  });
+});
@@ -0,0 +1,13 @@
+// The ranking engine: pair selection, rating updates, the Bradley-Terry refit,
+// confidence and stopping over an explicit state object, with no React or
+// browser dependencies.
+
+export { createEngineState, getProgress } from './state';
+export { calculateRatingPriors, calculateListOrderPriors, createRankingRecord } from './priors';
+export { applyComparison, flushPending, refit, undoComparison } from './update';
+export { fitBradleyTerry } from './bradleyTerry';
+export { confidence, averageConfidence } from './confidence';
+export { shouldStop, rankStability } from './stopping';
+export { selectGroup, selectionPhase, lastPickedAt } from './selection';
+export { createSeed } from './random';
+export { comparisonBudgets, RANKING_MODES } from './modes';
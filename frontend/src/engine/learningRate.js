@@ -0,0 +1,221 @@
+import {
+  VOLATILITY_WINDOW,
+  VOLATILITY_THRESHOLD_HIGH,
+  VOLATILITY_THRESHOLD_LOW,
+  MOMENTUM_FACTOR,
+  MIN_LEARNING_RATE,
+  MAX_LEARNING_RATE,
+  LEARNING_RATE_PARAMS
+} from './constants';
+import { confidence, averageConfidence } from './confidence';
+import { getProgress, getMovieCount } from './state';
+
+const calculateBatchParameters = (state) => {
+  const movieCount = getMovieCount(state);
+  const scalingFactor = Math.log2(movieCount) / Math.log2(100);
+
+  // Calculate base sizes
+  const baseSizes = {
+    EARLY_STAGE_SIZE: Math.min(8, Math.max(2, Math.floor(movieCount * 0.03 * scalingFactor))),
+    MID_STAGE_SIZE: Math.min(12, Math.max(3, Math.floor(movieCount * 0.06 * scalingFactor))),
+    LATE_STAGE_SIZE: Math.min(20, Math.max(4, Math.floor(movieCount * 0.1 * scalingFactor))),
+    EARLY_STAGE_THRESHOLD: 0.15 + (0.05 * (1 - scalingFactor)),
+    LATE_STAGE_THRESHOLD: 0.65 + (0.1 * scalingFactor),
+    MIN_CONFIDENCE_THRESHOLD: 0.35 + (0.1 * scalingFactor)
+  };
+
+  // Calculate volatility factor based on recent rating changes
+  const calculateVolatility = () => {
+    const { recentChanges } = state;
+    if (recentChanges.length < VOLATILITY_WINDOW) {
+      return 1; // Default to normal batch size if not enough data
+    }
+
+    // Calculate average magnitude of recent rating changes
+    const recentVolatility = recentChanges
+      .slice(-VOLATILITY_WINDOW)
+      .reduce((sum, change) => sum + Math.abs(change), 0) / VOLATILITY_WINDOW;
+
+    // Convert volatility to a scaling factor between 0.5 and 1.5
+    if (recentVolatility > VOLATILITY_THRESHOLD_HIGH) {
+      return 0.5; // High volatility = smaller batches
+    } else if (recentVolatility < VOLATILITY_THRESHOLD_LOW) {
+      return 1.5; // Low volatility = larger batches
+    } else {
+      // Linear interpolation between thresholds
+      return 1 + ((VOLATILITY_THRESHOLD_HIGH - recentVolatility) /
+                  (VOLATILITY_THRESHOLD_HIGH - VOLATILITY_THRESHOLD_LOW));
+    }
+  };
+
+  const volatilityFactor = calculateVolatility();
+
+  // Apply volatility factor to batch sizes
+  return {
+    ...baseSizes,
+    EARLY_STAGE_SIZE: Math.max(2, Math.round(baseSizes.EARLY_STAGE_SIZE * volatilityFactor)),
+    MID_STAGE_SIZE: Math.max(3, Math.round(baseSizes.MID_STAGE_SIZE * volatilityFactor)),
+    LATE_STAGE_SIZE: Math.max(4, Math.round(baseSizes.LATE_STAGE_SIZE * volatilityFactor))
+  };
+};
+
+// How many comparisons to collect before folding them into the ratings
+export const calculateOptimalBatchSize = (state) => {
+  const batchParams = calculateBatchParameters(state);
+  const progress = getProgress(state);
+
+  // Determine stage based on progress
+  if (progress < batchParams.EARLY_STAGE_THRESHOLD) {
+    return batchParams.EARLY_STAGE_SIZE;
+  } else if (progress > batchParams.LATE_STAGE_THRESHOLD) {
+    return batchParams.LATE_STAGE_SIZE;
+  } else {
+    return averageConfidence(state) < batchParams.MIN_CONFIDENCE_THRESHOLD
+      ? batchParams.EARLY_STAGE_SIZE
+      : batchParams.MID_STAGE_SIZE;
+  }
+};
+
+// If the winner's current rating is lower, this is a transitivity violation
+const checkTransitivityViolation = (rankings, winner, loser) =>
+  rankings[winner].rating < rankings[loser].rating;
+
+export const calculateAdaptiveLearningRate = (state, winner, loser) => {
+  const { rankings, recentChanges } = state;
+
+  // Get recent results for both movies
+  const winnerResults = rankings[winner].recentResults || [];
+  const loserResults = rankings[loser].recentResults || [];
+
+  // Calculate consistency scores - higher is more consistent pattern
+  const calculateConsistency = (results) => {
+    if (results.length < 2) return 0.5; // Default for too few results
+
+    let flips = 0;
+    for (let i = 1; i < results.length; i++) {
+      if (results[i].result !== results[i-1].result) flips++;
+    }
+
+    // Return consistency (1 = perfectly consistent, 0 = alternating results)
+    return 1 - (flips / (results.length - 1));
+  };
+
+  const winnerConsistency = calculateConsistency(winnerResults);
+  const loserConsistency = calculateConsistency(loserResults);
+  const avgConsistency = (winnerConsistency + loserConsistency) / 2;
+
+  // Check if most recent results match expectations based on ratings
+  let recentResultsMatchExpectations = true;
+
+  if (winnerResults.length > 0) {
+    const recentWinnerResult = winnerResults[winnerResults.length - 1];
+    if (recentWinnerResult && recentWinnerResult.opponent) {
+      const opponentRating = rankings[recentWinnerResult.opponent]?.rating || 0;
+      const expectedResult = rankings[winner].rating > opponentRating ? 1 : 0;
+      if (recentWinnerResult.result !== expectedResult) {
+        recentResultsMatchExpectations = false;
+      }
+    }
+  }
+
+  if (loserResults.length > 0) {
+    const recentLoserResult = loserResults[loserResults.length - 1];
+    if (recentLoserResult && recentLoserResult.opponent) {
+      const opponentRating = rankings[recentLoserResult.opponent]?.rating || 0;
+      const expectedResult = rankings[loser].rating > opponentRating ? 1 : 0;
+      if (recentLoserResult.result !== expectedResult) {
+        recentResultsMatchExpectations = false;
+      }
+    }
+  }
+
+  // Calculate adaptation factor based on volatility
+  const calculateVolatilityFromChanges = () => {
+    if (recentChanges.length < LEARNING_RATE_PARAMS.ADAPTATION_WINDOW) {
+      return 1; // Default factor if not enough history
+    }
+
+    // Calculate average magnitude of recent changes
+    const avgChange = recentChanges
+      .slice(-LEARNING_RATE_PARAMS.ADAPTATION_WINDOW)
+      .reduce((sum, change) => sum + Math.abs(change), 0) /
+      LEARNING_RATE_PARAMS.ADAPTATION_WINDOW;
+
+    // Normalize against a typical change of 0.1
+    const normalizedVolatility = avgChange / 0.1;
+
+    // Log scale for smoother changes
+    return Math.max(0.5, Math.min(1.5, Math.log(normalizedVolatility + 1)));
+  };
+
+  // Return the adaptive learning rate factor
+  const volatilityFactor = calculateVolatilityFromChanges();
+
+  // Higher consistency should lead to higher learning rate to reinforce patterns
+  const consistencyFactor = avgConsistency > 0.7 ?
+    LEARNING_RATE_PARAMS.CONSISTENCY_SCALING :
+    LEARNING_RATE_PARAMS.INCONSISTENCY_SCALING;
+
+  // Surprise factor - if result matches expectations, lower rate
+  const surpriseFactor = recentResultsMatchExpectations ?
+    LEARNING_RATE_PARAMS.EXPECTED_RESULT_DAMPING :
+    LEARNING_RATE_PARAMS.SURPRISE_BOOST;
+
+  return {
+    volatilityFactor,
+    consistencyFactor,
+    surpriseFactor
+  };
+};
+
+export const getDynamicLearningRate = (state, winner, loser) => {
+  const { rankings, momentum } = state;
+  const progress = getProgress(state);
+  const ratingDiff = Math.abs(rankings[winner].rating - rankings[loser].rating);
+  const winnerConfidence = confidence(state, winner);
+  const loserConfidence = confidence(state, loser);
+
+  // Get adaptive factors
+  const {
+    volatilityFactor,
+    consistencyFactor,
+    surpriseFactor
+  } = calculateAdaptiveLearningRate(state, winner, loser);
+
+  // Start with base learning rate
+  let learningRate = LEARNING_RATE_PARAMS.BASE_RATE;
+
+  // Adjust based on progress - apply more sophisticated decay
+  const progressFactor = progress < 0.3 ?
+    LEARNING_RATE_PARAMS.EARLY_PHASE_BOOST :
+    progress > 0.7 ?
+      LEARNING_RATE_PARAMS.LATE_PHASE_DAMPING :
+      1.0;
+
+  learningRate *= (1 - progress * LEARNING_RATE_PARAMS.PROGRESS_DECAY) * progressFactor;
+
+  // Adjust for rating difference
+  const surpriseValueFactor = 1 / (1 + Math.exp(-5 * (1 - ratingDiff)));
+  learningRate *= (1 + surpriseValueFactor);
+
+  // Confidence adjustment
+  const confidenceFactor = 1 - (winnerConfidence + loserConfidence) / 4;
+  learningRate *= confidenceFactor;
+
+  // Transitivity violation adjustment
+  if (checkTransitivityViolation(rankings, winner, loser)) {
+    learningRate *= 1.5;
+  }
+
+  // Apply momentum if available
+  const winnerMomentum = momentum[winner] || 0;
+  const loserMomentum = momentum[loser] || 0;
+  const avgMomentum = (Math.abs(winnerMomentum) + Math.abs(loserMomentum)) / 2;
+  learningRate *= (1 + avgMomentum * MOMENTUM_FACTOR);
+
+  // Apply adaptive factors from learning rate adaptation
+  learningRate *= volatilityFactor * consistencyFactor * surpriseFactor;
+
+  // Clamp learning rate
+  return Math.max(MIN_LEARNING_RATE, Math.min(MAX_LEARNING_RATE, learningRate));
+};
@@ -0,0 +1,44 @@
+export const RANKING_CONSTANTS = {
+  QUICK_MULTIPLIER: 2,
+  BALANCED_MULTIPLIER: 3.5,
+  THOROUGH_MULTIPLIER: 6,
+  MIN_QUICK_COMPARISONS: 25,
+  MIN_BALANCED_COMPARISONS: 45,
+  MIN_THOROUGH_COMPARISONS: 60,
+  MAX_BALANCED_COMPARISONS: 2000,
+  MAX_THOROUGH_COMPARISONS: 3000,
+  // Starting from the list's order only needs the comparisons to correct it
+  LIST_ORDER_DISCOUNT: 0.6
+};
+
+export const RANKING_MODES = ['quick', 'balanced', 'thorough'];
+
+// How many comparisons each mode asks for with `movieCount` films
+export const comparisonBudgets = (movieCount, seededFromListOrder = false) => {
+  // Quick mode - less accurate but faster
+  const quickComparisons = Math.max(
+    Math.ceil(movieCount * RANKING_CONSTANTS.QUICK_MULTIPLIER),
+    RANKING_CONSTANTS.MIN_QUICK_COMPARISONS
+  );
+
+  // Balanced mode - good balance between accuracy and time
+  const baseComparisons = movieCount * RANKING_CONSTANTS.BALANCED_MULTIPLIER;
+  const extraComparisons = Math.ceil(movieCount * Math.log2(movieCount));
+  const balancedComparisons = Math.min(
+    Math.max(baseComparisons + extraComparisons, RANKING_CONSTANTS.MIN_BALANCED_COMPARISONS),
+    RANKING_CONSTANTS.MAX_BALANCED_COMPARISONS
+  );
+
+  // Thorough mode - highest accuracy
+  const thoroughComparisons = Math.min(
+    Math.max(movieCount * RANKING_CONSTANTS.THOROUGH_MULTIPLIER + extraComparisons, RANKING_CONSTANTS.MIN_THOROUGH_COMPARISONS),
+    RANKING_CONSTANTS.MAX_THOROUGH_COMPARISONS
+  );
+
+  const discount = seededFromListOrder ? RANKING_CONSTANTS.LIST_ORDER_DISCOUNT : 1;
+  return {
+    quick: Math.ceil(quickComparisons * discount),
+    balanced: Math.ceil(balancedComparisons * discount),
+    thorough: Math.ceil(thoroughComparisons * discount)
+  };
+};
@@ -0,0 +1,87 @@
+// Starting ratings for a new ranking, seeded from whatever the import knows
+// about the user's opinion of each film
+
+import { BRADLEY_TERRY } from './constants';
+
+const RATING_PRIOR = {
+  MAX_ABS_RATING: 2,        // Keep seeded ratings within the usual normalized range
+  LIKE_BONUS: 0.25,         // Liked films edge out others with the same star rating
+  RATED_UNCERTAINTY: 0.6    // Star ratings are a starting point, not a final answer
+};
+
+// Seed initial ratings from the user's own star ratings (e.g. a Letterboxd films
+// history) so the comparisons refine an existing opinion instead of starting cold
+export const calculateRatingPriors = (movieList) => {
+  const rated = movieList.filter(movie => typeof movie.userRating === 'number');
+  if (rated.length < 2) return {};
+
+  const mean = rated.reduce((sum, movie) => sum + movie.userRating, 0) / rated.length;
+  const stdDev = Math.sqrt(
+    rated.reduce((sum, movie) => sum + Math.pow(movie.userRating - mean, 2), 0) / rated.length
+  );
+
+  return rated.reduce((acc, movie) => {
+    const zScore = stdDev > 0 ? (movie.userRating - mean) / stdDev : 0;
+    const rating = zScore + (movie.liked ? RATING_PRIOR.LIKE_BONUS : 0);
+    acc[movie.identifier] = {
+      rating: Math.min(Math.max(rating, -RATING_PRIOR.MAX_ABS_RATING), RATING_PRIOR.MAX_ABS_RATING),
+      uncertainty: RATING_PRIOR.RATED_UNCERTAINTY
+    };
+    return acc;
+  }, {});
+};
+
+const LIST_ORDER_PRIOR = {
+  UNCERTAINTY: 0.5          // A curated order is a firmer start than star ratings
+};
+
+// Seed initial ratings from the films' order on the imported list, spread
+// evenly from the top of the usual range (first film) to the bottom (last).
+// Films without a position are left to the other priors.
+export const calculateListOrderPriors = (movieList) => {
+  const ordered = movieList
+    .filter(movie => typeof movie.listPosition === 'number')
+    .sort((a, b) => a.listPosition - b.listPosition);
+  if (ordered.length < 2) return {};
+
+  return ordered.reduce((acc, movie, index) => {
+    const spread = 1 - (2 * index) / (ordered.length - 1);
+    acc[movie.identifier] = {
+      rating: spread * RATING_PRIOR.MAX_ABS_RATING,
+      uncertainty: LIST_ORDER_PRIOR.UNCERTAINTY
+    };
+    return acc;
+  }, {});
+};
+
+// A movie's ranking record before any comparisons, optionally seeded by a prior
+export const createRankingRecord = (movie, prior) => ({
+  // Basic rating properties
+  rating: prior ? prior.rating : 0,
+  movie: movie,
+  wins: 0,
+  losses: 0,
+  comparisons: 0,
+
+  // Result tracking
+  recentResults: [], // Will store objects with opponent and result info
+
+  // Bradley-Terry fit: the fitted log-strength and its standard error, and the
+  // prior the fit pulls the strength towards
+  strength: prior ? prior.rating : 0,
+  standardError: BRADLEY_TERRY.PRIOR_SPREAD * (prior ? prior.uncertainty : 1),
+  prior: {
+    mean: prior ? prior.rating : 0,
+    spread: BRADLEY_TERRY.PRIOR_SPREAD * (prior ? prior.uncertainty : 1)
+  },
+
+  // Group selection metrics
+  groupSelections: {
+    chosen: 0,         // Times chosen from a group
+    appearances: 0     // Times appeared in groups
+  },
+
+  // Confidence metrics
+  confidenceScore: 0,
+  uncertainty: prior ? prior.uncertainty : 1 // Initial high uncertainty unless seeded
+});
@@ -0,0 +1,31 @@
+// Seeded randomness for the engine. Every random draw goes through a
+// generator whose state is kept in the engine state, so a ranking replayed from
+// the same seed with the same choices shows the same films in the same order.
+
+// A fresh seed for a new ranking; the only place the engine uses Math.random
+export const createSeed = () => Math.floor(Math.random() * 2 ** 32);
+
+// mulberry32: small and fast, and its whole state is one 32-bit integer that
+// `random.state()` hands back for storing
+export const createRandom = (state) => {
+  let current = state >>> 0;
+  const random = () => {
+    current = (current + 0x6D2B79F5) >>> 0;
+    let t = current;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  random.state = () => current;
+  return random;
+};
+
+// Fisher-Yates shuffle algorithm
+export const shuffleArray = (array, random) => {
+  const shuffled = [...array];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
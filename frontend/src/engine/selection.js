@@ -0,0 +1,345 @@
+import { confidence } from './confidence';
+import { createRandom, shuffleArray } from './random';
+import { getProgress } from './state';
+
+// Big groups early on narrow the field quickly; pairs refine the final order
+export const selectionPhase = (progress) => {
+  if (progress < 0.35) {
+    return { mode: 'group', size: 5 }; // Early phase: 5-movie groups
+  } else if (progress < 0.75) {
+    return { mode: 'group', size: 3 }; // Middle phase: 3-movie groups
+  } else {
+    return { mode: 'pair', size: 2 }; // Late phase: traditional pairs
+  }
+};
+
+const pairKey = (first, second) => [first, second].sort().join('_');
+
+const calculateUncertainty = (rankings, movieId) => {
+  const results = rankings[movieId].recentResults;
+  if (results.length < 2) return 1;
+  const flips = results.reduce((count, curr, i) => {
+    return count + (i > 0 && curr.result !== results[i-1].result ? 1 : 0);
+  }, 0);
+  return flips / (results.length - 1);
+};
+
+const calculateMovieValue = (state, movie, moviesUsed) => {
+  // Prioritize movies with high uncertainty and few comparisons
+  const uncertainty = calculateUncertainty(state.rankings, movie.identifier);
+  const confidenceScore = confidence(state, movie.identifier);
+  const comparisonsCount = state.rankings[movie.identifier].comparisons;
+
+  // Calculate value based on confidence, uncertainty, and comparisons
+  const infoGain = (1 - confidenceScore) *
+                   (1 + uncertainty) *
+                   (1 / (comparisonsCount + 1));
+
+  // Add usage penalty for recently used movies
+  const usagePenalty = moviesUsed.has(movie.identifier) ? 0.7 : 1;
+
+  return infoGain * usagePenalty;
+};
+
+const calculateGroupValue = (state, movies, moviesUsed) => {
+  const { rankings } = state;
+  let totalValue = 0;
+  let individualSum = 0;
+
+  for (let i = 0; i < movies.length; i++) {
+    individualSum += calculateMovieValue(state, movies[i], moviesUsed);
+  }
+
+  // Calculate value from pairwise relationships
+  for (let i = 0; i < movies.length - 1; i++) {
+    for (let j = i + 1; j < movies.length; j++) {
+      // More value from movies that are close in rating
+      const ratingDiff = Math.abs(
+        rankings[movies[i].identifier].rating - rankings[movies[j].identifier].rating
+      );
+      totalValue += 1 / (ratingDiff + 0.1);
+    }
+  }
+
+  // Combine individual values and pairwise relationships
+  return totalValue + individualSum;
+};
+
+const recentOpponents = (record) => {
+  const opponents = new Set();
+  for (const result of record?.recentResults || []) {
+    if (result.opponent) opponents.add(result.opponent);
+  }
+  return opponents;
+};
+
+// Traditional pair selection with duplicate prevention
+const selectPair = (state, availableMovies, moviesUsed) => {
+  const { rankings, comparisons, selection } = state;
+
+  // Get movies that maximize information gain
+  const sortedByComparisons = [...availableMovies].sort((a, b) =>
+    rankings[a.identifier].comparisons - rankings[b.identifier].comparisons
+  );
+
+  // Select first movie with fewest comparisons
+  const firstMovie = sortedByComparisons[0];
+  if (!firstMovie) return [];
+
+  const scorePairCandidate = (movie) => {
+    // Base score from movie value
+    let score = calculateMovieValue(state, movie, moviesUsed);
+
+    // Check if this pair has been compared before and how recently
+    const lastComparisonIndex = selection.pairs[pairKey(firstMovie.identifier, movie.identifier)];
+    if (lastComparisonIndex !== undefined) {
+      const recencyPenalty = 1 - Math.min(1, (comparisons - lastComparisonIndex) / 50);
+
+      // Heavy penalty for recently compared pairs
+      score *= (0.1 + recencyPenalty * 0.9);
+    }
+
+    // Check if they were directly compared in recent history
+    const wasRecentlyCompared =
+      rankings[firstMovie.identifier].recentResults?.some(r => r.opponent === movie.identifier) ||
+      rankings[movie.identifier].recentResults?.some(r => r.opponent === firstMovie.identifier);
+
+    if (wasRecentlyCompared) {
+      score *= 0.2; // Severe penalty for pairs in recent comparison history
+    }
+
+    return score;
+  };
+
+  // Find the other movie with the best score
+  const otherMovies = sortedByComparisons.slice(1);
+  let bestScore = -Infinity;
+  let secondMovie = null;
+
+  for (let i = 0; i < otherMovies.length; i++) {
+    const currentScore = scorePairCandidate(otherMovies[i]);
+    if (currentScore > bestScore) {
+      bestScore = currentScore;
+      secondMovie = otherMovies[i];
+    }
+  }
+
+  if (!secondMovie && otherMovies.length > 0) {
+    secondMovie = otherMovies[0];
+  }
+  if (!secondMovie) {
+    // Just take the first two available movies
+    return availableMovies.slice(0, 2);
+  }
+
+  // If this pair was picked within the last 10 comparisons and there are enough
+  // movies, try again with a different first movie
+  const lastComparisonIndex = selection.pairs[pairKey(firstMovie.identifier, secondMovie.identifier)];
+  const isVeryRecentComparison = lastComparisonIndex && (comparisons - lastComparisonIndex) < 10;
+  if (!isVeryRecentComparison || availableMovies.length <= 10 || sortedByComparisons.length <= 2) {
+    return [firstMovie, secondMovie];
+  }
+
+  const alternateFirstMovie = sortedByComparisons[1];
+  let alternateBestScore = -Infinity;
+  let alternateSecondMovie = null;
+
+  for (let i = 0; i < sortedByComparisons.length; i++) {
+    if (i === 1) continue; // Skip the alternate first movie itself
+    const candidateMovie = sortedByComparisons[i];
+
+    // Skip if this is also a very recent comparison
+    const lastAlternateComparisonIndex = selection.pairs[pairKey(alternateFirstMovie.identifier, candidateMovie.identifier)];
+    if (lastAlternateComparisonIndex && (comparisons - lastAlternateComparisonIndex) < 10) {
+      continue;
+    }
+
+    const candidateScore = calculateMovieValue(state, candidateMovie, moviesUsed);
+    if (candidateScore > alternateBestScore) {
+      alternateBestScore = candidateScore;
+      alternateSecondMovie = candidateMovie;
+    }
+  }
+
+  return alternateSecondMovie
+    ? [alternateFirstMovie, alternateSecondMovie]
+    : [firstMovie, secondMovie];
+};
+
+// Builds candidate groups with several strategies and keeps the most valuable
+const selectMixedGroup = (state, availableMovies, moviesUsed, size, random) => {
+  const { rankings, comparisons } = state;
+  const uncertaintyOf = (movie) => calculateUncertainty(rankings, movie.identifier);
+
+  const strategies = [
+    // Strategy 1: Mix of high uncertainty movies across rating spectrum
+    () => {
+      let sortedByUncertainty = [...availableMovies].sort((a, b) => uncertaintyOf(b) - uncertaintyOf(a));
+
+      // Add randomness to initial grouping
+      if (comparisons === 0) {
+        const topCount = Math.max(1, Math.ceil(sortedByUncertainty.length * 0.2));
+        sortedByUncertainty = [
+          ...shuffleArray(sortedByUncertainty.slice(0, topCount), random),
+          ...sortedByUncertainty.slice(topCount)
+        ];
+      }
+
+      if (sortedByUncertainty.length === 0) return [];
+      const topMovie = sortedByUncertainty[0];
+
+      // Leave out films the top movie was recently compared with
+      const recentlyCompared = recentOpponents(rankings[topMovie.identifier]);
+      const remainingMovies = availableMovies
+        .filter(movie => movie.identifier !== topMovie.identifier && !recentlyCompared.has(movie.identifier))
+        .sort((a, b) => uncertaintyOf(b) - uncertaintyOf(a));
+
+      const finalSortedList = [topMovie, ...remainingMovies];
+
+      // Take top uncertain movies, but ensure rating diversity
+      const selectedMovies = [topMovie];
+      const ratingBuckets = { low: [], mid: [], high: [] };
+      for (const movie of remainingMovies) {
+        const rating = rankings[movie.identifier].rating;
+        if (rating < -0.5) ratingBuckets.low.push(movie);
+        else if (rating > 0.5) ratingBuckets.high.push(movie);
+        else ratingBuckets.mid.push(movie);
+      }
+
+      if (ratingBuckets.low.length > 0) selectedMovies.push(ratingBuckets.low[0]);
+      if (ratingBuckets.mid.length > 0) selectedMovies.push(ratingBuckets.mid[0]);
+      if (ratingBuckets.high.length > 0) selectedMovies.push(ratingBuckets.high[0]);
+
+      // Fill remaining slots with high uncertainty movies
+      for (let i = selectedMovies.length; i < size && i < finalSortedList.length; i++) {
+        const nextMovie = finalSortedList[i];
+        if (!selectedMovies.some(movie => movie.identifier === nextMovie.identifier)) {
+          selectedMovies.push(nextMovie);
+        }
+      }
+
+      return selectedMovies;
+    },
+
+    // Strategy 2: Prioritize movies with few comparisons while avoiding recent pairs
+    () => {
+      let sortedByComparisons = [...availableMovies].sort((a, b) =>
+        rankings[a.identifier].comparisons - rankings[b.identifier].comparisons
+      );
+
+      // Add randomness to initial grouping
+      if (comparisons === 0) {
+        const topCount = Math.max(1, Math.ceil(sortedByComparisons.length * 0.3));
+        sortedByComparisons = [
+          ...shuffleArray(sortedByComparisons.slice(0, topCount), random),
+          ...sortedByComparisons.slice(topCount)
+        ];
+      }
+
+      if (sortedByComparisons.length === 0) return [];
+      const firstMovie = sortedByComparisons[0];
+
+      // Avoid films the first movie was recently compared with, unless that leaves none
+      const recentlyCompared = recentOpponents(rankings[firstMovie.identifier]);
+      const remainingCandidates = sortedByComparisons
+        .slice(1)
+        .filter(movie => !recentlyCompared.has(movie.identifier));
+      const candidates = remainingCandidates.length > 0 ?
+        remainingCandidates :
+        sortedByComparisons.slice(1);
+
+      return [firstMovie, ...candidates.slice(0, size - 1)];
+    },
+
+    // Strategy 3: Create groups with similar ratings to refine precision
+    () => {
+      if (availableMovies.length === 0) return [];
+
+      // Get a random movie as an anchor
+      const anchorMovie = availableMovies[Math.floor(random() * availableMovies.length)];
+      const anchorRating = rankings[anchorMovie.identifier].rating;
+      const recentlyCompared = recentOpponents(rankings[anchorMovie.identifier]);
+
+      // Similar ratings first, preferring films not recently compared with the anchor
+      const candidates = availableMovies
+        .filter(movie => movie.identifier !== anchorMovie.identifier)
+        .sort((a, b) => {
+          const aRecent = recentlyCompared.has(a.identifier) ? 1 : 0;
+          const bRecent = recentlyCompared.has(b.identifier) ? 1 : 0;
+          if (aRecent !== bRecent) return aRecent - bRecent;
+
+          return Math.abs(rankings[a.identifier].rating - anchorRating) -
+                 Math.abs(rankings[b.identifier].rating - anchorRating);
+        });
+
+      return [anchorMovie, ...candidates.slice(0, size - 1)];
+    }
+  ];
+
+  // Select the group with highest value
+  let bestGroup = null;
+  let bestValue = -1;
+  for (const strategy of strategies) {
+    const group = strategy();
+    const value = calculateGroupValue(state, group, moviesUsed);
+    if (value > bestValue) {
+      bestValue = value;
+      bestGroup = group;
+    }
+  }
+
+  // Top the group up to the phase's size from the remaining films
+  const selectedGroup = [...(bestGroup || [])];
+  for (const movie of availableMovies) {
+    if (selectedGroup.length >= size) break;
+    if (!selectedGroup.some(selected => selected.identifier === movie.identifier)) {
+      selectedGroup.push(movie);
+    }
+  }
+  return selectedGroup;
+};
+
+// Picks the films to show next. Returns them with the state advanced past the
+// pick: the generator has moved on, the films count as recently used and a
+// pair remembers when it was shown.
+export const selectGroup = (state) => {
+  const { rankings, comparisons, selection } = state;
+  const random = createRandom(state.rngState);
+  const phase = selectionPhase(getProgress(state));
+  const allMovies = Object.values(rankings).map(record => record.movie);
+
+  // Work through every film before showing any of them again
+  let moviesUsed = new Set(selection.used);
+  let availableMovies = allMovies.filter(movie => !moviesUsed.has(movie.identifier));
+  if (availableMovies.length < phase.size) {
+    availableMovies = allMovies;
+    moviesUsed = new Set();
+  }
+
+  // Add randomness to initial grouping if this is the first comparison
+  if (comparisons === 0) {
+    availableMovies = shuffleArray(availableMovies, random);
+  }
+
+  const group = phase.mode === 'pair'
+    ? selectPair(state, availableMovies, moviesUsed)
+    : selectMixedGroup(state, availableMovies, moviesUsed, phase.size, random);
+
+  const groupIds = group.map(movie => movie.identifier);
+  return {
+    group,
+    state: {
+      ...state,
+      rngState: random.state(),
+      selection: {
+        used: [...moviesUsed, ...groupIds.filter(id => !moviesUsed.has(id))],
+        pairs: group.length === 2
+          ? { ...selection.pairs, [pairKey(...groupIds)]: comparisons }
+          : selection.pairs
+      }
+    }
+  };
+};
+
+// The comparison count when the pair `first`/`second` was last picked, if ever
+export const lastPickedAt = (selection, first, second) => selection.pairs[pairKey(first, second)];
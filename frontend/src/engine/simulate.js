@@ -0,0 +1,188 @@
+// Headless simulation of whole rankings: a synthetic user with a hidden true
+// order answers the groups the engine picks, and the finished ranking is scored
+// against that order. Used to check what each ranking mode actually delivers.
+import { comparisonBudgets, RANKING_MODES } from './modes';
+import { createRandom, shuffleArray } from './random';
+import { createEngineState } from './state';
+import { createRankingRecord } from './priors';
+import { applyComparison, refit } from './update';
+import { selectGroup } from './selection';
+import { shouldStop } from './stopping';
+
+// Standard normal draw (Box-Muller)
+const gaussian = (random) => {
+  const u = 1 - random();
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+};
+
+// Films in their true order: `film-0` is the user's favourite
+export const createSimulatedMovies = (count) =>
+  Array.from({ length: count }, (_, index) => ({
+    identifier: `film-${index}`,
+    title: `Film ${index}`
+  }));
+
+// A user whose taste follows the true order of `movies`, first film best.
+// `noise` is the spread of each judgement in list positions: with 2, films two
+// places apart are often picked the wrong way round. `intransitivity` is the
+// share of pairs the user consistently prefers against the true order, which
+// leaves cycles no ranking can satisfy.
+export const createSyntheticUser = (movies, { noise = 0, intransitivity = 0, seed = 1 } = {}) => {
+  const random = createRandom(seed);
+  const position = new Map(movies.map((movie, index) => [movie.identifier, index]));
+
+  const reversed = new Set();
+  if (intransitivity > 0) {
+    for (let i = 0; i < movies.length; i++) {
+      for (let j = i + 1; j < movies.length; j++) {
+        if (random() < intransitivity) {
+          reversed.add(`${movies[i].identifier}_${movies[j].identifier}`);
+        }
+      }
+    }
+  }
+
+  const prefers = (first, second, perceived) => {
+    const [better, worse] = perceived.get(first) >= perceived.get(second) ? [first, second] : [second, first];
+    const flipped = reversed.has(`${better}_${worse}`) || reversed.has(`${worse}_${better}`);
+    return (better === first) !== flipped;
+  };
+
+  // Index of the film the user picks from `group`: the one that wins the most
+  // of its pairings within the group, as the user perceives them right now
+  const choose = (group) => {
+    const ids = group.map(movie => movie.identifier);
+    const perceived = new Map(ids.map(id => [id, -position.get(id) + noise * gaussian(random)]));
+    const wins = ids.map(id => ids.filter(other => other !== id && prefers(id, other, perceived)).length);
+    return wins.reduce((best, count, index) =>
+      count > wins[best] || (count === wins[best] && perceived.get(ids[index]) > perceived.get(ids[best]))
+        ? index
+        : best, 0);
+  };
+
+  return { choose };
+};
+
+// Kendall's tau between two orders of the same films: 1 when they agree on
+// every pair, -1 when one is the other reversed
+export const kendallTau = (order, trueOrder) => {
+  const rank = new Map(order.map((id, index) => [id, index]));
+  const n = trueOrder.length;
+  if (n < 2) return 1;
+  let concordant = 0;
+  let discordant = 0;
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      if (rank.get(trueOrder[i]) < rank.get(trueOrder[j])) concordant++;
+      else discordant++;
+    }
+  }
+  return (concordant - discordant) / (n * (n - 1) / 2);
+};
+
+// Spearman's rho between two orders of the same films
+export const spearmanRho = (order, trueOrder) => {
+  const rank = new Map(order.map((id, index) => [id, index]));
+  const n = trueOrder.length;
+  if (n < 2) return 1;
+  const squaredDifferences = trueOrder.reduce((sum, id, index) => sum + (rank.get(id) - index) ** 2, 0);
+  return 1 - (6 * squaredDifferences) / (n * (n * n - 1));
+};
+
+// Share of the true top `k` that made the estimated top `k`
+export const topKAccuracy = (order, trueOrder, k = 10) => {
+  const size = Math.min(k, trueOrder.length);
+  if (size === 0) return 1;
+  const estimatedTop = new Set(order.slice(0, size));
+  return trueOrder.slice(0, size).filter(id => estimatedTop.has(id)).length / size;
+};
+
+// The engine's final order, best first
+export const rankedOrder = (state) =>
+  Object.values(state.rankings)
+    .sort((a, b) => b.rating - a.rating)
+    .map(record => record.movie.identifier);
+
+// Runs one ranking the way the app does: the engine picks each group, the user
+// picks one film out of it, and the ranking ends when the budget is spent or
+// the engine decides it has converged. The final refit then orders the films.
+export const simulateRanking = ({
+  movieCount,
+  maxComparisons,
+  seed = 1,
+  noise = 0,
+  intransitivity = 0
+}) => {
+  const movies = createSimulatedMovies(movieCount);
+  const trueOrder = movies.map(movie => movie.identifier);
+  const user = createSyntheticUser(movies, { noise, intransitivity, seed });
+
+  // The engine gets the films in a shuffled order so that ties between them
+  // don't fall the true order's way
+  const shuffled = shuffleArray(movies, createRandom(~seed));
+  let state = createEngineState({
+    rankings: Object.fromEntries(shuffled.map(movie => [movie.identifier, createRankingRecord(movie)])),
+    maxComparisons,
+    seed
+  });
+
+  let stoppedEarly = false;
+  while (state.comparisons < maxComparisons) {
+    if (state.comparisons > 0 && shouldStop(state)) {
+      stoppedEarly = true;
+      break;
+    }
+    const selected = selectGroup(state);
+    if (selected.group.length < 2) break;
+    state = selected.state;
+
+    const { group } = selected;
+    const winner = group[user.choose(group)];
+    state = applyComparison(state, { winner: winner.identifier, group });
+  }
+  state = refit(state);
+
+  const order = rankedOrder(state);
+  return {
+    comparisons: state.comparisons,
+    maxComparisons,
+    stoppedEarly,
+    kendallTau: kendallTau(order, trueOrder),
+    spearmanRho: spearmanRho(order, trueOrder),
+    top10: topKAccuracy(order, trueOrder, 10)
+  };
+};
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+// Averages `runs` simulated rankings for every mode. Each run gets its own seed
+// derived from `seed`, and the same seeds are used for every mode.
+export const benchmarkModes = ({
+  movieCount,
+  runs = 1,
+  seed = 1,
+  noise = 0,
+  intransitivity = 0,
+  modes = RANKING_MODES
+}) => {
+  const budgets = comparisonBudgets(movieCount);
+  return modes.map(mode => {
+    const results = Array.from({ length: runs }, (_, run) => simulateRanking({
+      movieCount,
+      maxComparisons: budgets[mode],
+      seed: seed + run,
+      noise,
+      intransitivity
+    }));
+    return {
+      mode,
+      movieCount,
+      budget: budgets[mode],
+      comparisons: mean(results.map(result => result.comparisons)),
+      kendallTau: mean(results.map(result => result.kendallTau)),
+      spearmanRho: mean(results.map(result => result.spearmanRho)),
+      top10: mean(results.map(result => result.top10))
+    };
+  });
+};
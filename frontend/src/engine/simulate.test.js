@@ -0,0 +1,101 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest';
+import {
+  benchmarkModes,
+  createSimulatedMovies,
+  createSyntheticUser,
+  kendallTau,
+  simulateRanking,
+  spearmanRho,
+  topKAccuracy
+} from './simulate';
+import { comparisonBudgets } from './modes';
+
+const ids = (count) => createSimulatedMovies(count).map(movie => movie.identifier);
+
+describe('accuracy measures', () => {
+  const truth = ids(12);
+  const reversed = [...truth].reverse();
+  const swapped = [truth[1], truth[0], ...truth.slice(2)];
+
+  it('score a perfect order as 1 and a reversed one as -1', () => {
+    expect(kendallTau(truth, truth)).toBe(1);
+    expect(spearmanRho(truth, truth)).toBe(1);
+    expect(kendallTau(reversed, truth)).toBe(-1);
+    expect(spearmanRho(reversed, truth)).toBe(-1);
+  });
+
+  it('lose a little for one swapped pair', () => {
+    expect(kendallTau(swapped, truth)).toBeCloseTo(1 - 2 / 66);
+    expect(spearmanRho(swapped, truth)).toBeCloseTo(1 - 12 / (12 * 143));
+  });
+
+  it('count how much of the true top ten made the top ten', () => {
+    expect(topKAccuracy(swapped, truth)).toBe(1);
+    expect(topKAccuracy(reversed, truth)).toBe(0.8);
+    expect(topKAccuracy(truth.slice(0, 4), truth.slice(0, 4))).toBe(1);
+  });
+});
+
+describe('createSyntheticUser', () => {
+  const movies = createSimulatedMovies(5);
+
+  it('always picks the best film when there is no noise', () => {
+    const user = createSyntheticUser(movies);
+    expect(user.choose([movies[3], movies[1], movies[4]])).toBe(1);
+    expect(user.choose([movies[2], movies[0]])).toBe(1);
+  });
+
+  it('keeps to its reversed preferences', () => {
+    const user = createSyntheticUser(movies, { intransitivity: 1 });
+    expect(user.choose([movies[0], movies[1]])).toBe(1);
+    expect(user.choose([movies[1], movies[0]])).toBe(0);
+  });
+});
+
+describe('simulateRanking', () => {
+  it('replays the same ranking from the same seed', () => {
+    const options = { movieCount: 12, maxComparisons: 60, seed: 7, noise: 1 };
+    expect(simulateRanking(options)).toEqual(simulateRanking(options));
+  });
+
+  it('stays within the budget, give or take one group', () => {
+    const result = simulateRanking({ movieCount: 15, maxComparisons: 40, seed: 3 });
+    expect(result.comparisons).toBeGreaterThanOrEqual(result.stoppedEarly ? 0 : 40);
+    expect(result.comparisons).toBeLessThan(40 + 4);
+  });
+});
+
+// Benchmarks every mode against a few kinds of user and prints what each one
+// delivered. The assertions only catch a broken engine; the table is the
+// report. Run it with `npm run simulate`.
+describe('benchmarkModes', () => {
+  const movieCount = 20;
+  const users = [
+    { name: 'consistent', noise: 0, intransitivity: 0 },
+    { name: 'noisy', noise: 2, intransitivity: 0 },
+    { name: 'intransitive', noise: 0, intransitivity: 0.05 }
+  ];
+
+  it.each(users)('reports accuracy per mode for a $name user', ({ name, noise, intransitivity }) => {
+    const report = benchmarkModes({ movieCount, runs: 2, seed: 1, noise, intransitivity });
+
+    console.log(`${movieCount} films, ${name} user`);
+    console.table(report.map(row => ({
+      mode: row.mode,
+      budget: row.budget,
+      comparisons: row.comparisons,
+      kendallTau: row.kendallTau.toFixed(3),
+      spearmanRho: row.spearmanRho.toFixed(3),
+      top10: row.top10.toFixed(2)
+    })));
+
+    const budgets = comparisonBudgets(movieCount);
+    report.forEach(row => {
+      expect(row.comparisons).toBeLessThanOrEqual(budgets[row.mode] + 4);
+      expect(row.kendallTau).toBeGreaterThan(0.3);
+    });
+    const [quick, , thorough] = report;
+    expect(thorough.kendallTau).toBeGreaterThan(quick.kendallTau);
+  });
+});
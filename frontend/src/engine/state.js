@@ -0,0 +1,48 @@
+import { LEARNING_RATE_PARAMS } from './constants';
+import { createSeed } from './random';
+
+// Everything the engine knows about a ranking in progress. Engine functions
+// take a state and return a new one; they never modify the one they are given.
+export const createEngineState = ({
+  rankings = {},
+  history = [],
+  pendingUpdates = [],
+  comparisons = 0,
+  maxComparisons = 0,
+  seed = createSeed(),
+  rngState = seed,
+  selection = { used: [], pairs: {} }
+} = {}) => ({
+  rankings,                // ranking records keyed by film identifier
+  history,                 // one entry per comparison, with a rankings snapshot for undo
+  pendingUpdates,          // comparisons not yet folded into the ratings
+  recentChanges: [],       // latest rating changes, for volatility and stability
+  momentum: {},            // per-film momentum of the rating updates
+  learningRate: LEARNING_RATE_PARAMS.BASE_RATE, // most recent learning rate, for display
+  comparisons,
+  maxComparisons,
+  seed,                    // what the ranking's randomness started from
+  rngState,                // where the seeded generator has got to
+  selection,               // films shown lately and when each pair was last picked
+  fitStats: {
+    lastFitComparison: 0,  // comparison count at the latest Bradley-Terry refit
+    fits: 0,
+    iterations: 0          // Newton sweeps the latest refit needed
+  }
+});
+
+export const getProgress = (state) =>
+  state.maxComparisons > 0 ? state.comparisons / state.maxComparisons : 0;
+
+export const getMovieCount = (state) => Object.keys(state.rankings).length;
+
+// Copies each record deeply enough that later updates never reach a snapshot
+export const snapshotRankings = (rankings) =>
+  Object.entries(rankings).reduce((acc, [key, value]) => {
+    acc[key] = {
+      ...value,
+      movie: { ...value.movie },
+      recentResults: value.recentResults.map(result => ({ ...result }))
+    };
+    return acc;
+  }, {});
@@ -0,0 +1,124 @@
+import { EARLY_TERMINATION } from './constants';
+import { calculateAdaptiveThresholds, averageConfidence } from './confidence';
+import { getProgress, getMovieCount } from './state';
+import { createRandom } from './random';
+
+const calculateTransitivityScore = (rankings, random) => {
+  let transitiveTriads = 0;
+  let totalTriads = 0;
+
+  // Get sorted movies by rating
+  const sortedMovies = Object.values(rankings)
+    .sort((a, b) => b.rating - a.rating)
+    .map(r => r.movie.identifier);
+
+  // Check random sample of triads for transitivity
+  const sampleSize = Math.min(1000, Math.floor(sortedMovies.length * (sortedMovies.length - 1) * (sortedMovies.length - 2) / 6));
+
+  for (let i = 0; i < sampleSize; i++) {
+    const idx1 = Math.floor(random() * sortedMovies.length);
+    const idx2 = Math.floor(random() * sortedMovies.length);
+    const idx3 = Math.floor(random() * sortedMovies.length);
+
+    if (idx1 !== idx2 && idx2 !== idx3 && idx1 !== idx3) {
+      totalTriads++;
+      const [a, b, c] = [sortedMovies[idx1], sortedMovies[idx2], sortedMovies[idx3]].sort(
+        (x, y) => rankings[y].rating - rankings[x].rating
+      );
+
+      if (rankings[a].rating > rankings[b].rating &&
+          rankings[b].rating > rankings[c].rating &&
+          rankings[a].rating > rankings[c].rating) {
+        transitiveTriads++;
+      }
+    }
+  }
+
+  return totalTriads > 0 ? transitiveTriads / totalTriads : 0;
+};
+
+// How little the order has moved over the last STABILITY_WINDOW comparisons,
+// with the top positions weighted most
+export const rankStability = (state) => {
+  const { rankings, history } = state;
+  if (history.length < EARLY_TERMINATION.STABILITY_WINDOW) {
+    return 0;
+  }
+
+  const previousRankings = history[history.length - EARLY_TERMINATION.STABILITY_WINDOW].rankings;
+  // Comparisons restored from a saved session may have no snapshot
+  if (!previousRankings) return 0;
+
+  const currentRanking = Object.values(rankings)
+    .sort((a, b) => b.rating - a.rating)
+    .map(r => r.movie.identifier);
+
+  const previousRanking = Object.values(previousRankings)
+    .sort((a, b) => b.rating - a.rating)
+    .map(r => r.movie.identifier);
+
+  let stabilityScore = 0;
+  let totalWeight = 0;
+  const totalMovies = currentRanking.length;
+
+  for (let i = 0; i < totalMovies; i++) {
+    const previousIndex = previousRanking.indexOf(currentRanking[i]);
+    const positionWeight = 1 - (i / totalMovies); // Top positions matter more
+    const maxPossibleDiff = totalMovies - 1;
+    const actualDiff = Math.abs(i - previousIndex);
+    const positionStability = 1 - (actualDiff / maxPossibleDiff);
+    stabilityScore += positionStability * positionWeight;
+    totalWeight += positionWeight;
+  }
+
+  // Normalized by the weights so an unchanged order scores 1
+  return totalWeight > 0 ? stabilityScore / totalWeight : 0;
+};
+
+// Whether the ranking has settled enough to finish before the comparison budget
+// runs out
+export const shouldStop = (state) => {
+  const { rankings, recentChanges } = state;
+  const progress = getProgress(state);
+  const adaptiveThresholds = calculateAdaptiveThresholds(getMovieCount(state), progress);
+
+  // Don't check before minimum progress
+  if (progress < EARLY_TERMINATION.MIN_PROGRESS) {
+    return false;
+  }
+
+  // Check minimum comparisons per movie
+  const insufficientComparisons = Object.values(rankings).some(
+    record => record.comparisons < EARLY_TERMINATION.MIN_COMPARISONS_PER_MOVIE
+  );
+  if (insufficientComparisons) {
+    return false;
+  }
+
+  // Check average confidence with adaptive threshold
+  if (averageConfidence(state) < Math.max(adaptiveThresholds.confidence, EARLY_TERMINATION.MIN_CONFIDENCE_THRESHOLD)) {
+    return false;
+  }
+
+  // Check recent stability with adaptive threshold
+  if (recentChanges.length < EARLY_TERMINATION.STABILITY_WINDOW) {
+    return false;
+  }
+  const recentInstability = recentChanges
+    .slice(-EARLY_TERMINATION.STABILITY_WINDOW)
+    .some(change => Math.abs(change) > Math.min(adaptiveThresholds.rankChange, EARLY_TERMINATION.STABILITY_THRESHOLD));
+  if (recentInstability) {
+    return false;
+  }
+
+  // Check transitivity with adaptive threshold
+  // Sampled from the current generator state without advancing it, so asking
+  // whether to stop never changes what comes next
+  const transitivityScore = calculateTransitivityScore(rankings, createRandom(state.rngState));
+  if (transitivityScore < Math.max(adaptiveThresholds.transitivity, EARLY_TERMINATION.MIN_TRANSITIVITY_SCORE)) {
+    return false;
+  }
+
+  // Check relative rank stability with adaptive threshold
+  return rankStability(state) >= Math.max(adaptiveThresholds.stability, EARLY_TERMINATION.RELATIVE_RANK_STABILITY);
+};
@@ -0,0 +1,198 @@
+import { MOMENTUM_FACTOR, RECENT_CHANGES_WINDOW } from './constants';
+import { calculateComparisonImpact } from './confidence';
+import { calculateAdaptiveLearningRate, getDynamicLearningRate, calculateOptimalBatchSize } from './learningRate';
+import { fitBradleyTerry, isRefitDue } from './bradleyTerry';
+import { getProgress, snapshotRankings } from './state';
+
+// Folds one pick into the ratings with an ELO-style step plus momentum. A pick
+// from a group is a top-1 Plackett-Luce observation: each film that lost moves
+// down by its probability of having been picked, and the winner moves up by
+// what they lose between them. For a pair this is the usual ELO step. This
+// keeps the ratings moving between refits; each refit replaces them.
+const applyRatingUpdate = (state, { winner, losers }) => {
+  const { rankings, momentum } = state;
+  // Pending comparisons can outlive a film that a sync removed
+  const others = losers.filter(loser => rankings[loser]);
+  if (!rankings[winner] || others.length === 0) return state;
+
+  // Each film's probability of being the one picked from the group
+  const groupStrength = [winner, ...others].reduce((sum, id) => sum + Math.exp(rankings[id].rating), 0);
+
+  const steps = others.map(loser => {
+    const learningRate = getDynamicLearningRate(state, winner, loser);
+
+    // Get the adaptive factors for fine-tuning the updates
+    const {
+      volatilityFactor,
+      consistencyFactor
+    } = calculateAdaptiveLearningRate(state, winner, loser);
+
+    return {
+      loser,
+      learningRate,
+      ratingChange: learningRate * Math.exp(rankings[loser].rating) / groupStrength,
+      momentumScaling: volatilityFactor * consistencyFactor,
+      ratingDiff: Math.abs(rankings[winner].rating - rankings[loser].rating)
+    };
+  });
+
+  // Update momentum with adaptive scaling
+  const winnerChange = steps.reduce((sum, step) => sum + step.ratingChange, 0);
+  const winnerMomentum = steps.reduce(
+    (sum, step) => sum + step.ratingChange * step.momentumScaling,
+    (momentum[winner] || 0) * MOMENTUM_FACTOR
+  );
+
+  const nextMomentum = { ...momentum, [winner]: winnerMomentum };
+  const nextRankings = {
+    ...rankings,
+    [winner]: {
+      ...rankings[winner],
+      // Traditional rating update with momentum influence
+      rating: rankings[winner].rating + winnerChange + winnerMomentum * MOMENTUM_FACTOR,
+      wins: rankings[winner].wins + steps.length,
+      comparisons: rankings[winner].comparisons + steps.length,
+      recentResults: [
+        ...rankings[winner].recentResults,
+        ...steps.map(({ loser, ratingDiff, learningRate }) => ({
+          opponent: loser,
+          result: 1,
+          ratingDiff,
+          learningRate // Store learning rate for analysis
+        }))
+      ].slice(-10)
+    }
+  };
+
+  steps.forEach(({ loser, learningRate, ratingChange, momentumScaling, ratingDiff }) => {
+    nextMomentum[loser] = (momentum[loser] || 0) * MOMENTUM_FACTOR - ratingChange * momentumScaling;
+    nextRankings[loser] = {
+      ...rankings[loser],
+      rating: rankings[loser].rating - ratingChange + nextMomentum[loser] * MOMENTUM_FACTOR,
+      losses: rankings[loser].losses + 1,
+      comparisons: rankings[loser].comparisons + 1,
+      recentResults: [...rankings[loser].recentResults.slice(-9), {
+        opponent: winner,
+        result: 0,
+        ratingDiff,
+        learningRate
+      }]
+    };
+  });
+
+  return {
+    ...state,
+    rankings: nextRankings,
+    momentum: nextMomentum,
+    learningRate: steps.reduce((sum, step) => sum + step.learningRate, 0) / steps.length,
+    recentChanges: [...state.recentChanges, ...steps.map(step => step.ratingChange)].slice(-RECENT_CHANGES_WINDOW)
+  };
+};
+
+// Folds every pending pick into the ratings
+export const flushPending = (state) =>
+  state.pendingUpdates.reduce(applyRatingUpdate, { ...state, pendingUpdates: [] });
+
+// Refits every film's strength to the whole comparison log and makes it the
+// film's rating, so the order no longer depends on the order of comparisons.
+// Pending comparisons are folded in first to bring the win and loss counts up
+// to date.
+export const refit = (state) => {
+  const flushed = flushPending(state);
+  const { strengths, standardErrors, iterations } = fitBradleyTerry(flushed.rankings, flushed.history);
+
+  const rankings = Object.fromEntries(
+    Object.entries(flushed.rankings).map(([id, record]) => [id, {
+      ...record,
+      rating: strengths[id],
+      strength: strengths[id],
+      standardError: standardErrors[id]
+    }])
+  );
+
+  return {
+    ...flushed,
+    rankings,
+    fitStats: {
+      lastFitComparison: flushed.comparisons,
+      fits: flushed.fitStats.fits + 1,
+      iterations
+    }
+  };
+};
+
+const recordGroupSelection = (rankings, winner, group) => {
+  if (group.length <= 2) return rankings;
+
+  const newRankings = { ...rankings };
+  group.forEach(movie => {
+    const id = movie.identifier;
+    if (newRankings[id]) {
+      newRankings[id] = {
+        ...newRankings[id],
+        groupSelections: {
+          ...newRankings[id].groupSelections,
+          appearances: newRankings[id].groupSelections.appearances + 1,
+          chosen: newRankings[id].groupSelections.chosen + (id === winner ? 1 : 0)
+        }
+      };
+    }
+  });
+  return newRankings;
+};
+
+// Records that `winner` was picked out of `group`, the films that were on
+// screen, as one event in the comparison log. It counts as one comparison for
+// each film the winner was preferred over, which is what the modes budget for.
+// Ratings are updated in batches; the periodic refit runs once it is due.
+export const applyComparison = (state, { winner, group }) => {
+  const { rankings } = state;
+  const losers = [...new Set(group.map(item => item.identifier))]
+    .filter(id => id !== winner && rankings[id]);
+  if (!rankings[winner] || losers.length === 0) return state;
+
+  const progress = getProgress(state);
+  const historyEntry = {
+    winner,
+    losers,
+    rankings: snapshotRankings(rankings),
+    pair: group.map(item => ({ ...item })),
+    isHighImpact: losers.some(loser =>
+      calculateComparisonImpact(rankings[winner].movie, rankings[loser].movie, rankings, progress))
+  };
+
+  let next = {
+    ...state,
+    rankings: recordGroupSelection(rankings, winner, group),
+    history: [...state.history, historyEntry],
+    pendingUpdates: [...state.pendingUpdates, { winner, losers }]
+  };
+
+  if (next.pendingUpdates.length >= calculateOptimalBatchSize(next)) {
+    next = flushPending(next);
+  }
+
+  next = { ...next, comparisons: next.comparisons + losers.length };
+  return isRefitDue(next) ? refit(next) : next;
+};
+
+// Steps back over the latest pick, as long as it lies past `floor` in
+// the history and still has its snapshot. Returns the earlier state and the
+// films that were on screen, or null when there is nothing to undo.
+export const undoComparison = (state, floor = 0) => {
+  const { history } = state;
+  const lastComparison = history[history.length - 1];
+  if (history.length <= floor || !lastComparison.rankings) return null;
+
+  return {
+    state: {
+      ...state,
+      rankings: snapshotRankings(lastComparison.rankings),
+      history: history.slice(0, -1),
+      comparisons: Math.max(0, state.comparisons - lastComparison.losers.length),
+      pendingUpdates: [],
+      recentChanges: []
+    },
+    pair: lastComparison.pair.map(item => ({ ...item }))
+  };
+};
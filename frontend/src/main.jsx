@@ -1,6 +1,8 @@
 import React from 'react'
 import ReactDOM from 'react-dom/client'
 import App from './App'
+import SharedRanking from './components/SharedRanking'
+import { readShareId } from './utils/shares'
 import './globals.css'
 
 // Start memory monitoring in development
@@ -21,8 +23,11 @@ if (typeof window !== 'undefined') {
   window.addEventListener('beforeunload', cleanupMemory);
 }
 
+// Shared ranking links open a read-only page instead of the app
+const shareId = readShareId(window.location.pathname)
+
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
-    <App />
+    {shareId ? <SharedRanking id={shareId} /> : <App />}
   </React.StrictMode>,
 )
\ No newline at end of file
@@ -0,0 +1,49 @@
+import { getGroupKeys } from './metadata';
+
+// Pre-ranking filters. Empty lists and null bounds mean "don't filter on this".
+export const EMPTY_FILTERS = {
+  yearMin: null,
+  yearMax: null,
+  decades: [],
+  genres: [],
+  runtimeMin: null,
+  runtimeMax: null,
+  sources: []
+};
+
+const inRange = (value, min, max) =>
+  (min == null || value >= min) && (max == null || value <= max);
+
+export const matchesFilters = (movie, filters) => {
+  const year = parseInt(movie.year, 10);
+  if (filters.yearMin != null || filters.yearMax != null) {
+    if (!Number.isFinite(year) || !inRange(year, filters.yearMin, filters.yearMax)) return false;
+  }
+  if (filters.decades.length > 0 && !getGroupKeys(movie, 'decade').some(decade => filters.decades.includes(decade))) {
+    return false;
+  }
+  if (filters.genres.length > 0 && !(movie.genres || []).some(genre => filters.genres.includes(genre))) {
+    return false;
+  }
+  // Films with an unknown runtime only drop out once a runtime bound is set
+  if (filters.runtimeMin != null || filters.runtimeMax != null) {
+    if (!movie.runtime || !inRange(movie.runtime, filters.runtimeMin, filters.runtimeMax)) return false;
+  }
+  if (filters.sources.length > 0 && !(movie.sources || []).some(source => filters.sources.includes(source))) {
+    return false;
+  }
+  return true;
+};
+
+// `overrides` maps identifiers to true (always include) or false (always
+// exclude), taking precedence over the filters
+export const isIncluded = (movie, filters, overrides) =>
+  overrides[movie.identifier] ?? matchesFilters(movie, filters);
+
+export const applyFilters = (movies, filters, overrides = {}) =>
+  movies.filter(movie => isIncluded(movie, filters, overrides));
+
+export const getYearBounds = (movies) => {
+  const years = movies.map(movie => parseInt(movie.year, 10)).filter(Number.isFinite);
+  return years.length > 0 ? { min: Math.min(...years), max: Math.max(...years) } : null;
+};
@@ -0,0 +1,101 @@
+import { describe, it, expect } from 'vitest';
+import { EMPTY_FILTERS, matchesFilters, isIncluded, applyFilters, getYearBounds } from './filters';
+
+const movie = (overrides = {}) => ({
+  identifier: 'the-conversation',
+  title: 'The Conversation',
+  year: '1974',
+  runtime: 113,
+  genres: ['Drama', 'Thriller'],
+  director: 'Francis Ford Coppola',
+  sources: ['https://letterboxd.com/user/list/seventies/'],
+  ...overrides
+});
+
+const filtersWith = (changes) => ({ ...EMPTY_FILTERS, ...changes });
+
+describe('matchesFilters', () => {
+  it('lets everything through with empty filters', () => {
+    expect(matchesFilters(movie(), EMPTY_FILTERS)).toBe(true);
+    expect(matchesFilters({ identifier: 'bare', title: 'Bare', year: '' }, EMPTY_FILTERS)).toBe(true);
+  });
+
+  it.each([
+    [{ yearMin: 1970, yearMax: 1979 }, true],
+    [{ yearMin: 1974, yearMax: 1974 }, true],
+    [{ yearMin: 1975 }, false],
+    [{ yearMax: 1973 }, false]
+  ])('checks the year against %o', (range, expected) => {
+    expect(matchesFilters(movie(), filtersWith(range))).toBe(expected);
+  });
+
+  it('drops films without a year once a year bound is set', () => {
+    expect(matchesFilters(movie({ year: '' }), filtersWith({ yearMin: 1970 }))).toBe(false);
+  });
+
+  it.each([
+    [{ runtimeMin: 90, runtimeMax: 120 }, true],
+    [{ runtimeMax: 113 }, true],
+    [{ runtimeMin: 120 }, false],
+    [{ runtimeMax: 100 }, false]
+  ])('checks the runtime against %o', (range, expected) => {
+    expect(matchesFilters(movie(), filtersWith(range))).toBe(expected);
+  });
+
+  it('drops films with an unknown runtime only once a runtime bound is set', () => {
+    expect(matchesFilters(movie({ runtime: null }), EMPTY_FILTERS)).toBe(true);
+    expect(matchesFilters(movie({ runtime: null }), filtersWith({ runtimeMax: 120 }))).toBe(false);
+  });
+
+  it('keeps films with any of the chosen genres', () => {
+    expect(matchesFilters(movie(), filtersWith({ genres: ['Thriller', 'Horror'] }))).toBe(true);
+    expect(matchesFilters(movie(), filtersWith({ genres: ['Horror'] }))).toBe(false);
+    expect(matchesFilters(movie({ genres: undefined }), filtersWith({ genres: ['Drama'] }))).toBe(false);
+  });
+
+  it('keeps films from any of the chosen decades', () => {
+    expect(matchesFilters(movie(), filtersWith({ decades: ['1960s', '1970s'] }))).toBe(true);
+    expect(matchesFilters(movie(), filtersWith({ decades: ['1980s'] }))).toBe(false);
+  });
+
+  it('keeps films from any of the chosen source lists', () => {
+    const [source] = movie().sources;
+    expect(matchesFilters(movie(), filtersWith({ sources: [source] }))).toBe(true);
+    expect(matchesFilters(movie(), filtersWith({ sources: ['https://letterboxd.com/user/watchlist/'] }))).toBe(false);
+  });
+
+  it('does not filter on the director', () => {
+    expect(matchesFilters(movie({ director: null }), EMPTY_FILTERS)).toBe(true);
+    expect(matchesFilters(movie({ director: 'Someone Else' }), filtersWith({ genres: ['Drama'] }))).toBe(true);
+  });
+
+  it('needs every set filter to match', () => {
+    const filters = filtersWith({ yearMin: 1970, genres: ['Drama'], runtimeMax: 100 });
+    expect(matchesFilters(movie(), filters)).toBe(false);
+    expect(matchesFilters(movie({ runtime: 95 }), filters)).toBe(true);
+  });
+});
+
+describe('isIncluded and applyFilters', () => {
+  const seventies = movie();
+  const eighties = movie({ identifier: 'blow-out', title: 'Blow Out', year: '1981' });
+  const filters = filtersWith({ decades: ['1970s'] });
+
+  it('filter a list of films', () => {
+    expect(applyFilters([seventies, eighties], filters)).toEqual([seventies]);
+  });
+
+  it('let overrides take precedence over the filters', () => {
+    const overrides = { 'the-conversation': false, 'blow-out': true };
+    expect(isIncluded(eighties, filters, overrides)).toBe(true);
+    expect(applyFilters([seventies, eighties], filters, overrides)).toEqual([eighties]);
+  });
+});
+
+describe('getYearBounds', () => {
+  it('spans the known years and ignores films without one', () => {
+    const movies = [movie(), movie({ year: '1981' }), movie({ year: '' })];
+    expect(getYearBounds(movies)).toEqual({ min: 1974, max: 1981 });
+    expect(getYearBounds([movie({ year: '' })])).toBeNull();
+  });
+});
@@ -0,0 +1,71 @@
+// Movies used to be identified by a "title-year" string, which let remakes and
+// duplicate titles collide. They are now keyed by their Letterboxd film slug
+// (or IMDb ID), and every imported movie still carries its legacyIdentifier so
+// rankings saved under the old scheme can be re-keyed onto the new one.
+
+// Films sharing a title and year share a legacy identifier, and one of them may
+// still be keyed by it, so only a legacy identifier that belongs to one film
+// and is nobody's current identifier is re-keyed
+export const buildIdentifierMigration = (movies) => {
+  const currentIds = new Set(movies.map(movie => movie.identifier));
+  const legacyCounts = movies.reduce((counts, movie) => {
+    if (movie.legacyIdentifier) {
+      counts.set(movie.legacyIdentifier, (counts.get(movie.legacyIdentifier) || 0) + 1);
+    }
+    return counts;
+  }, new Map());
+
+  const migration = new Map();
+  for (const movie of movies) {
+    const legacy = movie.legacyIdentifier;
+    if (legacy && legacyCounts.get(legacy) === 1 && !currentIds.has(legacy)) {
+      migration.set(legacy, movie.identifier);
+    }
+  }
+  return migration;
+};
+
+const migrateId = (migration, id) => migration.get(id) || id;
+
+// Re-keys a plain list of identifiers
+export const migrateIdentifiers = (ids, movies) => {
+  const migration = buildIdentifierMigration(movies);
+  return migration.size === 0 ? ids : ids.map(id => migrateId(migration, id));
+};
+
+// Re-keys a rankings object ({ [identifier]: record }) and the opponent
+// references inside each record's recent results
+export const migrateRankings = (rankings, movies) => {
+  const migration = buildIdentifierMigration(movies);
+  if (migration.size === 0) return rankings;
+
+  const moviesById = new Map(movies.map(movie => [movie.identifier, movie]));
+
+  return Object.entries(rankings).reduce((acc, [id, record]) => {
+    const newId = migrateId(migration, id);
+    acc[newId] = {
+      ...record,
+      movie: moviesById.get(newId) || { ...record.movie, identifier: newId },
+      recentResults: (record.recentResults || []).map(result => ({
+        ...result,
+        opponent: migrateId(migration, result.opponent)
+      }))
+    };
+    return acc;
+  }, {});
+};
+
+// Re-keys the winner and losers of each comparison plus the snapshot and films
+// it carries, where it has them (pending updates have neither)
+export const migrateComparisonHistory = (history, movies) => {
+  const migration = buildIdentifierMigration(movies);
+  if (migration.size === 0) return history;
+
+  return history.map(entry => ({
+    ...entry,
+    winner: migrateId(migration, entry.winner),
+    losers: entry.losers.map(id => migrateId(migration, id)),
+    rankings: entry.rankings ? migrateRankings(entry.rankings, movies) : entry.rankings,
+    pair: entry.pair && entry.pair.map(movie => ({ ...movie, identifier: migrateId(migration, movie.identifier) }))
+  }));
+};
@@ -0,0 +1,87 @@
+import { describe, it, expect } from 'vitest';
+import { buildIdentifierMigration, migrateRankings, migrateComparisonHistory } from './identifiers';
+
+const record = (movie, rating = 0) => ({ movie, rating, recentResults: [] });
+
+describe('buildIdentifierMigration', () => {
+  it('maps a legacy identifier onto the film that carries it', () => {
+    const movies = [{ identifier: 'alien', legacyIdentifier: 'alien-1979' }];
+    expect([...buildIdentifierMigration(movies)]).toEqual([['alien-1979', 'alien']]);
+  });
+
+  it('leaves films whose identifier did not change alone', () => {
+    const movies = [{ identifier: 'tt0078748', legacyIdentifier: 'tt0078748' }];
+    expect(buildIdentifierMigration(movies).size).toBe(0);
+  });
+
+  it('skips a legacy identifier shared by two films', () => {
+    const movies = [
+      { identifier: 'tt0375679', legacyIdentifier: 'crash-2004' },
+      { identifier: 'crash-2004-1', legacyIdentifier: 'crash-2004' }
+    ];
+    expect(buildIdentifierMigration(movies).size).toBe(0);
+  });
+
+  it('skips a legacy identifier that is another film\'s current identifier', () => {
+    const movies = [
+      { identifier: 'nosferatu-2024', legacyIdentifier: 'nosferatu-2024' },
+      { identifier: 'nosferatu-2024-1', legacyIdentifier: 'nosferatu-2024' }
+    ];
+    expect(buildIdentifierMigration(movies).size).toBe(0);
+  });
+});
+
+describe('migrateRankings', () => {
+  it('re-keys records and the opponents in their recent results', () => {
+    const alien = { identifier: 'alien', legacyIdentifier: 'alien-1979' };
+    const heat = { identifier: 'heat', legacyIdentifier: 'heat-1995' };
+    const rankings = {
+      'alien-1979': { ...record({ identifier: 'alien-1979' }, 1), recentResults: [{ opponent: 'heat-1995', won: true }] },
+      'heat-1995': record({ identifier: 'heat-1995' })
+    };
+
+    const migrated = migrateRankings(rankings, [alien, heat]);
+    expect(Object.keys(migrated)).toEqual(['alien', 'heat']);
+    expect(migrated.alien.movie).toBe(alien);
+    expect(migrated.alien.rating).toBe(1);
+    expect(migrated.alien.recentResults).toEqual([{ opponent: 'heat', won: true }]);
+  });
+
+  it('keeps two films with the same title and year apart', () => {
+    const first = { identifier: 'nosferatu-2024', legacyIdentifier: 'nosferatu-2024' };
+    const second = { identifier: 'nosferatu-2024-1', legacyIdentifier: 'nosferatu-2024' };
+    const rankings = { 'nosferatu-2024': record(first, 1), 'nosferatu-2024-1': record(second, -1) };
+
+    const migrated = migrateRankings(rankings, [first, second]);
+    expect(Object.keys(migrated).sort()).toEqual(['nosferatu-2024', 'nosferatu-2024-1']);
+    expect(migrated['nosferatu-2024'].rating).toBe(1);
+    expect(migrated['nosferatu-2024-1'].rating).toBe(-1);
+  });
+});
+
+describe('migrateComparisonHistory', () => {
+  it('re-keys picks, their snapshots and groups', () => {
+    const movies = [
+      { identifier: 'alien', legacyIdentifier: 'alien-1979' },
+      { identifier: 'heat', legacyIdentifier: 'heat-1995' }
+    ];
+    const [entry] = migrateComparisonHistory([{
+      winner: 'alien-1979',
+      losers: ['heat-1995'],
+      rankings: { 'heat-1995': record({ identifier: 'heat-1995' }) },
+      pair: [{ identifier: 'alien-1979' }, { identifier: 'heat-1995' }]
+    }], movies);
+
+    expect(entry.winner).toBe('alien');
+    expect(entry.losers).toEqual(['heat']);
+    expect(Object.keys(entry.rankings)).toEqual(['heat']);
+    expect(entry.pair.map(movie => movie.identifier)).toEqual(['alien', 'heat']);
+  });
+
+  it('leaves pending updates without a snapshot or group', () => {
+    const movies = [{ identifier: 'alien', legacyIdentifier: 'alien-1979' }];
+    const [update] = migrateComparisonHistory([{ winner: 'alien-1979', losers: ['heat'] }], movies);
+    expect(update.winner).toBe('alien');
+    expect(update.pair).toBeUndefined();
+  });
+});
@@ -0,0 +1,56 @@
+// Helpers for the descriptive metadata imported with each movie (director,
+// runtime, genres, plot, Letterboxd average). Older saved movies may lack any
+// of these fields, so everything here tolerates them being missing.
+
+export const formatRuntime = (minutes) => {
+  if (!minutes) return null;
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  if (hours === 0) return `${rest}m`;
+  return rest === 0 ? `${hours}h` : `${hours}h ${rest}m`;
+};
+
+// Short "1995 · 2h 50m · Michael Mann" style line for cards and lists
+export const describeMovie = (movie, { includeDirector = true } = {}) => [
+  movie.year,
+  formatRuntime(movie.runtime),
+  includeDirector ? movie.director : null
+].filter(Boolean).join(' · ');
+
+// "username/list/slug" style label for a Letterboxd source URL
+export const formatSourceLabel = (url) =>
+  url.replace(/^https?:\/\/(www\.)?letterboxd\.com\//, '').replace(/\/$/, '');
+
+export const RESULT_GROUPINGS = {
+  none: 'No grouping',
+  genre: 'Genre',
+  director: 'Director',
+  decade: 'Decade'
+};
+
+// A movie can belong to several groups (one per genre) or, when the field is
+// unknown, to none
+export const getGroupKeys = (movie, grouping) => {
+  switch (grouping) {
+    case 'genre':
+      return movie.genres?.length ? movie.genres : [];
+    case 'director':
+      return movie.director ? movie.director.split(',').map(name => name.trim()) : [];
+    case 'decade': {
+      const year = parseInt(movie.year, 10);
+      return Number.isFinite(year) ? [`${Math.floor(year / 10) * 10}s`] : [];
+    }
+    default:
+      return [];
+  }
+};
+
+// Sorted list of every value a grouping takes across the given movies
+export const collectGroupKeys = (movies, grouping) => {
+  const keys = new Set();
+  movies.forEach(movie => getGroupKeys(movie, grouping).forEach(key => keys.add(key)));
+  return [...keys].sort();
+};
+
+export const hasMetadata = (movies) =>
+  movies.some(movie => movie.genres?.length || movie.director || movie.runtime);
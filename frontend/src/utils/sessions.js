@@ -0,0 +1,103 @@
+// Client for the backend's saved ranking sessions, plus the conversion between
+// App state and what gets stored
+
+const apiUrl = () => import.meta.env.VITE_API_URL || 'http://localhost:3001';
+
+// Undo and the stability check only look back this far, so older comparisons
+// are stored without their rankings snapshot to keep sessions small
+const SNAPSHOT_LIMIT = 20;
+
+const request = async (path, options = {}) => {
+  const response = await fetch(`${apiUrl()}${path}`, {
+    ...options,
+    headers: options.body ? { 'Content-Type': 'application/json' } : undefined
+  });
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.message || 'The saved session could not be reached');
+  }
+  return data.data;
+};
+
+export const listSessions = () => request('/sessions');
+
+export const loadSession = (id) => request(`/sessions/${id}`);
+
+export const createSession = (session) =>
+  request('/sessions', { method: 'POST', body: JSON.stringify(session) });
+
+export const saveSession = (id, session) =>
+  request(`/sessions/${id}`, { method: 'PUT', body: JSON.stringify(session) });
+
+export const deleteSession = (id) => request(`/sessions/${id}`, { method: 'DELETE' });
+
+export const serializeSession = ({
+  name,
+  movies,
+  importedMovies,
+  rankings,
+  comparisonHistory,
+  pendingUpdates,
+  mode,
+  comparisons,
+  maxComparisons,
+  step,
+  source,
+  placement,
+  seed,
+  rngState,
+  selection
+}) => ({
+  name,
+  movies,
+  importedMovies,
+  rankings,
+  comparisonLog: comparisonHistory.map((entry, index) =>
+    index < comparisonHistory.length - SNAPSHOT_LIMIT ? { ...entry, rankings: null } : entry
+  ),
+  // Comparisons not yet folded into the ratings by the batch update
+  pendingUpdates,
+  mode,
+  progress: { comparisons, maxComparisons, step },
+  source,
+  placement,
+  // The seeded generator and pair selection state, so a resumed ranking picks
+  // the same films an uninterrupted one would have
+  seed,
+  rngState,
+  selection
+});
+
+const groupKey = (pair = []) => pair.map(movie => movie.identifier).join('_');
+
+// Sessions saved before a group pick was logged as one event have an entry,
+// and a pending update, for each pair the pick implied. Consecutive entries
+// with the same winner out of the same group of three or more are merged back
+// into the one pick, keeping the first entry's snapshot from before it. Pending
+// updates don't record their group, so they stay one per pair.
+export const migrateComparisonLog = (entries = []) =>
+  entries.reduce((acc, { loser, ...entry }) => {
+    const previous = acc[acc.length - 1];
+    if (entry.losers) {
+      acc.push(entry);
+    } else if (
+      previous &&
+      previous.winner === entry.winner &&
+      entry.pair && entry.pair.length > 2 &&
+      groupKey(previous.pair) === groupKey(entry.pair)
+    ) {
+      acc[acc.length - 1] = { ...previous, losers: [...previous.losers, loser] };
+    } else {
+      acc.push({ ...entry, losers: [loser] });
+    }
+    return acc;
+  }, []);
+
+// A session saved mid-import or mid-filter resumes at mode selection
+export const RESUMABLE_STEPS = ['mode-selection', 'instructions', 'ranking', 'results'];
+
+export const describeSessionProgress = (session) => {
+  const { comparisons = 0, maxComparisons = 0, step } = session.progress || {};
+  if (step === 'results') return `Finished after ${comparisons} comparisons`;
+  return maxComparisons > 0 ? `${comparisons} of ${maxComparisons} comparisons` : 'Not started';
+};
@@ -0,0 +1,72 @@
+// Client for the backend's shared ranking snapshots. Owner tokens never leave
+// this browser except to revoke a share, so they are kept in localStorage.
+
+const apiUrl = () => import.meta.env.VITE_API_URL || 'http://localhost:3001';
+
+const OWNER_TOKENS_KEY = 'rankboxd:share-owner-tokens';
+
+const readOwnerTokens = () => {
+  try {
+    return JSON.parse(window.localStorage.getItem(OWNER_TOKENS_KEY)) || {};
+  } catch {
+    // Unreadable storage just means no shares can be revoked from here
+    return {};
+  }
+};
+
+const writeOwnerTokens = (tokens) => {
+  try {
+    window.localStorage.setItem(OWNER_TOKENS_KEY, JSON.stringify(tokens));
+  } catch (error) {
+    console.error('Error storing share owner token:', error);
+  }
+};
+
+const request = async (path, options = {}) => {
+  const response = await fetch(`${apiUrl()}${path}`, options);
+  const data = await response.json();
+  if (!response.ok) {
+    const error = new Error(data.message || 'The shared ranking could not be reached');
+    error.code = data.code;
+    throw error;
+  }
+  return data.data;
+};
+
+// `/share/<id>` renders a shared ranking instead of the app
+export const readShareId = (pathname) => {
+  const match = pathname.match(/^\/share\/([A-Za-z0-9_-]{8})\/?$/);
+  return match ? match[1] : null;
+};
+
+export const getShareUrl = (id) => `${window.location.origin}/share/${id}`;
+
+export const buildShareSnapshot = (sortedRankings, calculateConfidence, name) => ({
+  name,
+  comparisons: Math.round(sortedRankings.reduce((sum, record) => sum + (record.comparisons || 0), 0) / 2),
+  entries: sortedRankings.map(record => ({
+    movie: record.movie,
+    confidence: calculateConfidence(record.movie.identifier)
+  }))
+});
+
+export const publishShare = async (snapshot) => {
+  const { id, ownerToken } = await request('/shares', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(snapshot)
+  });
+  writeOwnerTokens({ ...readOwnerTokens(), [id]: ownerToken });
+  return id;
+};
+
+export const loadShare = (id) => request(`/shares/${id}`);
+
+export const canRevokeShare = (id) => Boolean(readOwnerTokens()[id]);
+
+export const revokeShare = async (id) => {
+  const tokens = readOwnerTokens();
+  await request(`/shares/${id}`, { method: 'DELETE', headers: { 'X-Owner-Token': tokens[id] || '' } });
+  delete tokens[id];
+  writeOwnerTokens(tokens);
+};
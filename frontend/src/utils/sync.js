@@ -0,0 +1,133 @@
+import { migrateRankings, migrateComparisonHistory } from './identifiers';
+
+// Re-syncing a ranking against the list it was imported from. Films that left
+// the list drop out, and new films are placed into the existing order with a
+// binary search: each comparison against the middle of the remaining range
+// halves it, so a film needs at most log2(n + 1) comparisons.
+
+// Re-keys saved data onto the fresh import's identifiers, so a film whose
+// identifier changed is neither removed nor added by the sync
+export const migrateToImport = ({ rankings, history, pendingUpdates }, fetchedMovies) => ({
+  rankings: migrateRankings(rankings, fetchedMovies),
+  history: migrateComparisonHistory(history, fetchedMovies),
+  pendingUpdates: migrateComparisonHistory(pendingUpdates, fetchedMovies)
+});
+
+// Compares a fresh import with what was imported last time, given rankings
+// already migrated onto its identifiers. Films that were imported before but
+// left out at the filter step are not treated as new.
+export const diffListSync = (rankings, previousMovies, fetchedMovies) => {
+  const fetchedIds = new Set(fetchedMovies.map(movie => movie.identifier));
+  const knownIds = new Set([...previousMovies.map(movie => movie.identifier), ...Object.keys(rankings)]);
+
+  return {
+    added: fetchedMovies.filter(movie => !knownIds.has(movie.identifier)),
+    removed: Object.keys(rankings).filter(id => !fetchedIds.has(id))
+  };
+};
+
+// A pick still says the winner was preferred over the films that stay, so only
+// picks of a removed film or from nothing but removed films are dropped
+const prunePicks = (entries, removedIds) => entries
+  .filter(entry => !removedIds.has(entry.winner) && entry.losers.some(id => !removedIds.has(id)))
+  .map(entry => ({ ...entry, losers: entry.losers.filter(id => !removedIds.has(id)) }));
+
+// Drops the removed films, and every reference to them, from migrated data
+export const pruneRankings = ({ rankings, history, pendingUpdates }, fetchedMovies, removed) => {
+  const removedIds = new Set(removed);
+  const fetchedById = new Map(fetchedMovies.map(movie => [movie.identifier, movie]));
+
+  const prunedRankings = Object.entries(rankings).reduce((acc, [id, record]) => {
+    if (removedIds.has(id)) return acc;
+    acc[id] = {
+      ...record,
+      // Pick up metadata that changed on the list since the last import
+      movie: fetchedById.get(id) || record.movie,
+      recentResults: record.recentResults.filter(result => !removedIds.has(result.opponent))
+    };
+    return acc;
+  }, {});
+
+  // Keep the snapshots stored for undo from bringing removed films back
+  const prunedHistory = prunePicks(history, removedIds).map(entry => ({
+    ...entry,
+    rankings: entry.rankings && Object.fromEntries(
+      Object.entries(entry.rankings).filter(([id]) => !removedIds.has(id))
+    )
+  }));
+
+  return {
+    rankings: prunedRankings,
+    history: prunedHistory,
+    pendingUpdates: prunePicks(pendingUpdates, removedIds)
+  };
+};
+
+// `order` is the existing ranking best first; `historyStart` marks where the
+// placement run begins in the comparison history
+export const createPlacement = (rankings, newIds, historyStart) => ({
+  order: Object.keys(rankings)
+    .filter(id => !newIds.includes(id))
+    .sort((a, b) => rankings[b].rating - rankings[a].rating),
+  newIds,
+  historyStart
+});
+
+export const placementBudget = (newCount, existingCount) =>
+  newCount * Math.ceil(Math.log2(existingCount + 1));
+
+// The range of positions in `order` a new film can still take, narrowed by
+// its results against the existing films since placement started
+export const findPlacementBounds = (placement, identifier, history) => {
+  let low = 0;
+  let high = placement.order.length;
+
+  history.slice(placement.historyStart).forEach(({ winner, losers }) => {
+    if (winner === identifier) {
+      losers.forEach(loser => {
+        const index = placement.order.indexOf(loser);
+        if (index >= 0) high = Math.min(high, index);
+      });
+    } else if (losers.includes(identifier)) {
+      const index = placement.order.indexOf(winner);
+      if (index >= 0) low = Math.max(low, index + 1);
+    }
+  });
+
+  // Inconsistent answers can cross the bounds; settle between them
+  return low <= high ? { low, high } : { low: high, high };
+};
+
+// Next [new film id, existing film id] to compare, or null once every new
+// film has a position
+export const nextPlacementPair = (placement, history) => {
+  for (const id of placement.newIds) {
+    const { low, high } = findPlacementBounds(placement, id, history);
+    if (low < high) {
+      return [id, placement.order[Math.floor((low + high) / 2)]];
+    }
+  }
+  return null;
+};
+
+// Gives each placed film a rating between its new neighbours, with the
+// uncertainty of a film that has already been compared a few times
+export const applyPlacement = (rankings, placement, history) => {
+  const { order } = placement;
+  const ratings = order.map(id => rankings[id].rating);
+  const spacing = order.length > 1 ? (ratings[0] - ratings[ratings.length - 1]) / (order.length - 1) : 0;
+  const step = spacing > 0 ? spacing : 0.1;
+
+  return placement.newIds.reduce((acc, id) => {
+    const { low } = findPlacementBounds(placement, id, history);
+    const above = low > 0 ? ratings[low - 1] : null;
+    const below = low < ratings.length ? ratings[low] : null;
+    let rating = 0;
+    if (above !== null && below !== null) rating = (above + below) / 2;
+    else if (above !== null) rating = above - step;
+    else if (below !== null) rating = below + step;
+
+    acc[id] = { ...acc[id], rating, strength: rating, standardError: 0.5, uncertainty: 0.5 };
+    return acc;
+  }, { ...rankings });
+};
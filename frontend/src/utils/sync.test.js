@@ -0,0 +1,171 @@
+import { describe, it, expect } from 'vitest';
+import {
+  migrateToImport,
+  diffListSync,
+  pruneRankings,
+  createPlacement,
+  placementBudget,
+  findPlacementBounds,
+  nextPlacementPair,
+  applyPlacement
+} from './sync';
+
+const movie = (identifier, extra = {}) => ({ identifier, title: identifier, ...extra });
+
+const record = (identifier, rating = 0, recentResults = []) =>
+  ({ movie: movie(identifier), rating, recentResults });
+
+const rankingsOf = (ratings) =>
+  Object.fromEntries(Object.entries(ratings).map(([id, rating]) => [id, record(id, rating)]));
+
+const pick = (winner, ...losers) => ({ winner, losers });
+
+describe('diffListSync', () => {
+  const rankings = rankingsOf({ alien: 0, heat: 0 });
+
+  it('finds films that joined and left the list', () => {
+    const { added, removed } = diffListSync(rankings, [movie('alien'), movie('heat')], [movie('alien'), movie('ran')]);
+    expect(added.map(film => film.identifier)).toEqual(['ran']);
+    expect(removed).toEqual(['heat']);
+  });
+
+  it('does not add films left out at the filter step', () => {
+    const previous = [movie('alien'), movie('heat'), movie('ran')];
+    const { added, removed } = diffListSync(rankings, previous, previous);
+    expect(added).toEqual([]);
+    expect(removed).toEqual([]);
+  });
+
+  it('keeps a film whose identifier changed once the rankings are migrated', () => {
+    const saved = { rankings: rankingsOf({ 'alien-1979': 0, heat: 0 }), history: [], pendingUpdates: [] };
+    const fetched = [movie('alien', { legacyIdentifier: 'alien-1979' }), movie('heat')];
+    const migrated = migrateToImport(saved, fetched);
+
+    const { added, removed } = diffListSync(migrated.rankings, [movie('alien-1979'), movie('heat')], fetched);
+    expect(added).toEqual([]);
+    expect(removed).toEqual([]);
+  });
+});
+
+describe('migrateToImport', () => {
+  it('keeps two films with the same title and year apart', () => {
+    const fetched = [
+      movie('nosferatu-2024', { legacyIdentifier: 'nosferatu-2024' }),
+      movie('nosferatu-2024-1', { legacyIdentifier: 'nosferatu-2024' })
+    ];
+    const saved = {
+      rankings: rankingsOf({ 'nosferatu-2024': 1, 'nosferatu-2024-1': -1 }),
+      history: [pick('nosferatu-2024', 'nosferatu-2024-1')],
+      pendingUpdates: [pick('nosferatu-2024', 'nosferatu-2024-1')]
+    };
+
+    const migrated = migrateToImport(saved, fetched);
+    expect(Object.keys(migrated.rankings).sort()).toEqual(['nosferatu-2024', 'nosferatu-2024-1']);
+    expect(migrated.history[0]).toMatchObject(pick('nosferatu-2024', 'nosferatu-2024-1'));
+    expect(migrated.pendingUpdates[0]).toMatchObject(pick('nosferatu-2024', 'nosferatu-2024-1'));
+  });
+
+  it('re-keys the history and pending updates along with the rankings', () => {
+    const fetched = [movie('alien', { legacyIdentifier: 'alien-1979' }), movie('heat')];
+    const migrated = migrateToImport({
+      rankings: rankingsOf({ 'alien-1979': 0, heat: 0 }),
+      history: [pick('alien-1979', 'heat')],
+      pendingUpdates: [pick('heat', 'alien-1979')]
+    }, fetched);
+
+    expect(Object.keys(migrated.rankings).sort()).toEqual(['alien', 'heat']);
+    expect(migrated.history[0]).toMatchObject(pick('alien', 'heat'));
+    expect(migrated.pendingUpdates[0]).toMatchObject(pick('heat', 'alien'));
+  });
+});
+
+describe('pruneRankings', () => {
+  const fetched = [movie('alien', { director: 'Ridley Scott' }), movie('heat'), movie('ran')];
+  const saved = {
+    rankings: {
+      ...rankingsOf({ heat: 0, ran: 0, jaws: 0 }),
+      alien: record('alien', 1, [{ opponent: 'jaws', won: true }, { opponent: 'heat', won: true }])
+    },
+    history: [
+      { ...pick('alien', 'jaws', 'heat'), rankings: rankingsOf({ alien: 0, jaws: 0, heat: 0 }) },
+      pick('jaws', 'ran'),
+      pick('heat', 'jaws')
+    ],
+    pendingUpdates: [pick('jaws', 'alien'), pick('ran', 'jaws', 'heat')]
+  };
+  const pruned = pruneRankings(saved, fetched, ['jaws']);
+
+  it('drops removed films and their recent results', () => {
+    expect(Object.keys(pruned.rankings).sort()).toEqual(['alien', 'heat', 'ran']);
+    expect(pruned.rankings.alien.recentResults).toEqual([{ opponent: 'heat', won: true }]);
+  });
+
+  it('picks up metadata from the fresh import', () => {
+    expect(pruned.rankings.alien.movie.director).toBe('Ridley Scott');
+  });
+
+  it('keeps picks over the films that stay and drops the rest', () => {
+    expect(pruned.history.map(({ winner, losers }) => pick(winner, ...losers))).toEqual([pick('alien', 'heat')]);
+    expect(Object.keys(pruned.history[0].rankings).sort()).toEqual(['alien', 'heat']);
+  });
+
+  it('prunes the pending updates the same way', () => {
+    expect(pruned.pendingUpdates).toEqual([pick('ran', 'heat')]);
+  });
+});
+
+describe('placement', () => {
+  const rankings = { ...rankingsOf({ a: 3, b: 2, c: 1, d: 0 }), n: record('n') };
+
+  it('orders the existing films best first and leaves the new ones out', () => {
+    const placement = createPlacement(rankings, ['n'], 5);
+    expect(placement).toEqual({ order: ['a', 'b', 'c', 'd'], newIds: ['n'], historyStart: 5 });
+  });
+
+  it('budgets a binary search per new film', () => {
+    expect(placementBudget(2, 4)).toBe(6);
+    expect(placementBudget(1, 1)).toBe(1);
+  });
+
+  it('narrows a new film\'s bounds with each result since placement started', () => {
+    const placement = createPlacement(rankings, ['n'], 1);
+    const history = [pick('n', 'a'), pick('b', 'n'), pick('n', 'd')];
+    expect(findPlacementBounds(placement, 'n', history)).toEqual({ low: 2, high: 3 });
+  });
+
+  it('settles between crossed bounds', () => {
+    const placement = createPlacement(rankings, ['n'], 0);
+    const history = [pick('n', 'b'), pick('c', 'n')];
+    expect(findPlacementBounds(placement, 'n', history)).toEqual({ low: 1, high: 1 });
+  });
+
+  it('compares against the middle of the remaining range until it is empty', () => {
+    const placement = createPlacement(rankings, ['n'], 0);
+    expect(nextPlacementPair(placement, [])).toEqual(['n', 'c']);
+    expect(nextPlacementPair(placement, [pick('n', 'c')])).toEqual(['n', 'b']);
+    expect(nextPlacementPair(placement, [pick('n', 'c'), pick('b', 'n')])).toBeNull();
+  });
+
+  it('moves on to the next new film once one is placed', () => {
+    const twoNew = { ...rankings, m: record('m') };
+    const placement = createPlacement(twoNew, ['n', 'm'], 0);
+    const history = [pick('n', 'c'), pick('b', 'n')];
+    expect(nextPlacementPair(placement, history)).toEqual(['m', 'c']);
+  });
+
+  it('rates a placed film between its new neighbours', () => {
+    const placement = createPlacement(rankings, ['n'], 0);
+    const placed = applyPlacement(rankings, placement, [pick('n', 'c'), pick('b', 'n')]);
+    expect(placed.n.rating).toBe(1.5);
+    expect(placed.n.strength).toBe(1.5);
+    expect(placed.b.rating).toBe(2);
+  });
+
+  it('rates a film placed at either end one step past it', () => {
+    const placement = createPlacement(rankings, ['n'], 0);
+    const top = applyPlacement(rankings, placement, [pick('n', 'c'), pick('n', 'b'), pick('n', 'a')]);
+    const bottom = applyPlacement(rankings, placement, [pick('c', 'n'), pick('d', 'n')]);
+    expect(top.n.rating).toBe(4);
+    expect(bottom.n.rating).toBe(-1);
+  });
+});